@@ -10,7 +10,16 @@ const userRoutes = require('./routes/users');
 const gigRoutes = require('./routes/gigs');
 const mailboxRoutes = require('./routes/mailbox');
 const chatController = require('./controllers/chatController');
-const homeRoutes = require('./routes/homes');
+const homeRoutes = require('./routes/home');
+const webhookRoutes = require('./routes/webhooks');
+const chatRoutes = require('./routes/chats');
+const adminRoutes = require('./routes/admin');
+const reportRoutes = require('./routes/reports');
+const { createBroker } = require('./config/pubsub');
+const { createBrokerAdapter } = require('./services/pubsub/socketAdapter');
+const { createPresence } = require('./services/pubsub/presence');
+const { startScheduler } = require('./services/scheduler');
+const logger = require('./logger');
 
 const app = express();
 const server = http.createServer(app);
@@ -19,6 +28,8 @@ const io = socketIo(server, {
 });
 
 app.use(cors());
+// Stripe signs the raw payload, so webhooks must be mounted before JSON parsing
+app.use('/api/webhooks', webhookRoutes);
 app.use(bodyParser.json());
 
 // Routes
@@ -26,6 +37,9 @@ app.use('/api/users', userRoutes);
 app.use('/api/gigs', gigRoutes);
 app.use('/api/mailbox', mailboxRoutes);
 app.use('/api/homes', homeRoutes);
+app.use('/api/chats', chatRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/admin', adminRoutes);
 
 app.use((req, res, next) => {
   console.log('Request Body:', req.body);  // Debug log
@@ -34,13 +48,25 @@ app.use((req, res, next) => {
 app.use(bodyParser.json());
 app.use('/api/users', userRoutes);
 
-// Socket.io for chat
-chatController(io);
-
 // Health check
 app.get('/', (req, res) => res.send('Oodoo Backend Running'));
 
 const PORT = process.env.PORT || 8000;
-server.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-});
\ No newline at end of file
+
+// Socket.io for chat; rooms and presence go through the broker so replicas share them
+createBroker()
+  .then((broker) => {
+    io.adapter(createBrokerAdapter(broker));
+    chatController(io, { presence: createPresence(broker) });
+    logger.info('Chat pub/sub driver:', { driver: broker.driver });
+
+    server.listen(PORT, () => {
+      console.log(`Server running on port ${PORT}`);
+      // Recurring gig occurrences and deadline expiry
+      startScheduler();
+    });
+  })
+  .catch((error) => {
+    console.error('Failed to start pub/sub broker:', error);
+    process.exit(1);
+  });
\ No newline at end of file
@@ -0,0 +1,25 @@
+require('dotenv').config();
+
+// Master keys wrap the per-home data keys. HOME_DATA_MASTER_KEY (base64, 32 bytes) is
+// current; HOME_DATA_OLD_MASTER_KEYS ("id:base64,id:base64") keeps retired keys readable
+// until scripts/rotate-home-keys.js has rewrapped everything.
+function parseKey(id, base64) {
+  const key = Buffer.from(base64, 'base64');
+  if (key.length !== 32) {
+    throw new Error(`Master key ${id} must be 32 bytes (base64 encoded)`);
+  }
+  return key;
+}
+
+function loadMasterKeys() {
+  if (!process.env.HOME_DATA_MASTER_KEY) return null;
+  const currentId = process.env.HOME_DATA_MASTER_KEY_ID || 'v1';
+  const keys = new Map([[currentId, parseKey(currentId, process.env.HOME_DATA_MASTER_KEY)]]);
+  (process.env.HOME_DATA_OLD_MASTER_KEYS || '').split(',').filter(Boolean).forEach((entry) => {
+    const [id, base64] = entry.split(':');
+    keys.set(id, parseKey(id, base64));
+  });
+  return { currentId, keys };
+}
+
+module.exports = { masterKeys: loadMasterKeys() };
@@ -0,0 +1,14 @@
+const { createMemoryBroker } = require('../services/pubsub/memoryBroker');
+const { createRedisBroker } = require('../services/pubsub/redisBroker');
+require('dotenv').config();
+
+// PUBSUB_DRIVER=redis (with REDIS_URL) shares chat rooms and presence across replicas;
+// the in-memory default only works for a single instance
+async function createBroker() {
+  if (process.env.PUBSUB_DRIVER === 'redis') {
+    return createRedisBroker(process.env.REDIS_URL || 'redis://localhost:6379');
+  }
+  return createMemoryBroker();
+}
+
+module.exports = { createBroker };
@@ -0,0 +1,31 @@
+require('dotenv').config();
+const logger = require('../logger');
+
+// SMS_PROVIDER=fake keeps messages in memory (and the log) instead of sending them,
+// for local development and tests; anything else sends through Twilio
+function createFakeProvider() {
+  const outbox = [];
+  return {
+    name: 'fake',
+    outbox,
+    async send(to, body) {
+      outbox.push({ to, body, sentAt: new Date() });
+      logger.info('Fake SMS sent:', { to, body });
+      return { id: `fake_${outbox.length}` };
+    }
+  };
+}
+
+function createTwilioProvider() {
+  const twilio = require('twilio');
+  const client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+  return {
+    name: 'twilio',
+    async send(to, body) {
+      const message = await client.messages.create({ to, from: process.env.TWILIO_PHONE_NUMBER, body });
+      return { id: message.sid };
+    }
+  };
+}
+
+module.exports = process.env.SMS_PROVIDER === 'fake' ? createFakeProvider() : createTwilioProvider();
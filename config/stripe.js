@@ -0,0 +1,6 @@
+const Stripe = require('stripe');
+require('dotenv').config();
+
+const stripe = Stripe(process.env.STRIPE_SECRET_KEY);
+
+module.exports = stripe;
@@ -1,34 +1,137 @@
-const { db } = require('../config/firebase');
+const { decodeToken } = require('../middleware/auth');
+const {
+  attachIo,
+  assertChatAccess,
+  fetchHistory,
+  parseMessage,
+  saveMessage,
+  advancePointer
+} = require('../services/chat');
+const { httpError } = require('../services/errors');
+const logger = require('../logger');
+
+// presence is optional so the controller also runs without a broker (single instance, no presence)
+module.exports = (io, { presence } = {}) => {
+  attachIo(io);
+
+  // Reject the handshake unless it carries a valid JWT (auth.token, or a Bearer header for non-browser clients)
+  io.use((socket, next) => {
+    const token = socket.handshake.auth?.token || socket.handshake.headers.authorization?.split(' ')[1];
+    if (!token) return next(new Error('No token provided'));
+
+    decodeToken(token)
+      .then((decoded) => {
+        socket.data.userId = decoded.userId;
+        socket.data.gigIds = new Set(); // Rooms this socket has been authorized for
+        next();
+      })
+      .catch((err) => next(new Error(err.message)));
+  });
 
-module.exports = (io) => {
   io.on('connection', (socket) => {
-    console.log('User connected:', socket.id);
-
-    // Join gig-specific chat room
-    socket.on('joinGigChat', (gigId) => {
-      socket.join(gigId);
-      // Fetch and emit message history from Firestore
-      db.collection(`chats/${gigId}/messages`)
-        .orderBy('timestamp')
-        .get()
-        .then((snapshot) => {
-          const messages = snapshot.docs.map(doc => doc.data());
-          socket.emit('chatHistory', messages);
-        });
+    const { userId } = socket.data;
+    logger.info('Socket connected:', { socketId: socket.id, userId });
+
+    const emitError = (event, error) => {
+      if (!error.status) {
+        logger.error(`Chat ${event} error:`, { error: error.message, userId });
+      }
+      socket.emit('chatError', { event, error: error.status ? error.message : 'Something went wrong' });
+    };
+
+    const assertJoined = (gigId) => {
+      if (!socket.data.gigIds.has(gigId)) {
+        throw httpError(403, 'Join the gig chat first');
+      }
+    };
+
+    const online = presence
+      ? presence.connect(userId).catch((error) => {
+        logger.error('Presence connect error:', { error: error.message, userId });
+      })
+      : Promise.resolve();
+
+    // Join gig-specific chat room and send the latest page of history
+    socket.on('joinGigChat', async (gigId) => {
+      try {
+        const gigData = await assertChatAccess(gigId, userId);
+        socket.join(gigId);
+        socket.data.gigIds.add(gigId);
+        socket.emit('chatHistory', await fetchHistory(gigId));
+
+        // Tell the joiner who is around, and the room that the joiner is
+        if (presence) {
+          await online;
+          const participants = [gigData.userId, gigData.acceptedBy].filter(Boolean);
+          socket.emit('presence', { gigId, users: await presence.isOnline(participants) });
+          socket.to(gigId).emit('presenceChanged', { gigId, userId, online: true });
+        }
+      } catch (error) {
+        emitError('joinGigChat', error);
+      }
+    });
+
+    // Older messages on request, paging backwards from the oldest one the client has
+    socket.on('loadOlderMessages', async ({ gigId, before, limit } = {}) => {
+      try {
+        assertJoined(gigId);
+        socket.emit('chatHistory', await fetchHistory(gigId, { before, limit }));
+      } catch (error) {
+        emitError('loadOlderMessages', error);
+      }
+    });
+
+    // Send message (text, image, file or location); the sender is always the authenticated user
+    socket.on('sendMessage', async ({ gigId, ...payload } = {}) => {
+      try {
+        assertJoined(gigId);
+        const msgData = await saveMessage(gigId, userId, parseMessage(payload));
+        io.to(gigId).emit('newMessage', msgData);  // Broadcast
+      } catch (error) {
+        emitError('sendMessage', error);
+      }
+    });
+
+    // Receipts: clients ack up to the newest message they have received or displayed
+    socket.on('markDelivered', async ({ gigId, messageId } = {}) => {
+      try {
+        assertJoined(gigId);
+        const receipt = await advancePointer(gigId, userId, messageId, 'delivered');
+        if (receipt) io.to(gigId).emit('messagesDelivered', receipt);
+      } catch (error) {
+        emitError('markDelivered', error);
+      }
     });
 
-    // Send message
-    socket.on('sendMessage', async ({ gigId, userId, message }) => {
-      const msgData = { userId, message, timestamp: new Date() };
-      await db.collection(`chats/${gigId}/messages`).add(msgData);
-      io.to(gigId).emit('newMessage', msgData);  // Broadcast
+    socket.on('markRead', async ({ gigId, messageId } = {}) => {
+      try {
+        assertJoined(gigId);
+        const receipt = await advancePointer(gigId, userId, messageId, 'read');
+        if (receipt) io.to(gigId).emit('messagesRead', receipt);
+      } catch (error) {
+        emitError('markRead', error);
+      }
     });
 
     // Typing indicator
-    socket.on('typing', ({ gigId, userId }) => {
-      socket.to(gigId).emit('userTyping', userId);
+    socket.on('typing', ({ gigId } = {}) => {
+      if (socket.data.gigIds.has(gigId)) {
+        socket.to(gigId).emit('userTyping', userId);
+      }
     });
 
-    socket.on('disconnect', () => console.log('User disconnected'));
+    socket.on('disconnect', async () => {
+      logger.info('Socket disconnected:', { socketId: socket.id, userId });
+      if (!presence) return;
+      try {
+        await online;
+        const wentOffline = await presence.disconnect(userId);
+        if (wentOffline) {
+          socket.data.gigIds.forEach(gigId => io.to(gigId).emit('presenceChanged', { gigId, userId, online: false }));
+        }
+      } catch (error) {
+        logger.error('Presence disconnect error:', { error: error.message, userId });
+      }
+    });
   });
-};
\ No newline at end of file
+};
@@ -1,19 +1,52 @@
 const jwt = require('jsonwebtoken');
+const { isSessionActive } = require('../services/sessions');
+const { getRestriction, describeRestriction } = require('../services/moderation');
 require('dotenv').config();
 
+// Shared by the HTTP middleware and the Socket.IO handshake; resolves the decoded payload
+// once the signature checks out, the token's session has not been revoked and the
+// account is not suspended or banned
+const decodeToken = (token) => new Promise((resolve, reject) => {
+  jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
+    if (err) return reject(new Error('Invalid token'));
+    if (!decoded.userId) return reject(new Error('User ID missing in token payload'));
+    if (!decoded.sid) return reject(new Error('Session missing in token payload'));
+    resolve(decoded);
+  });
+}).then(async (decoded) => {
+  const [active, restriction] = await Promise.all([isSessionActive(decoded.sid), getRestriction(decoded.userId)])
+    .catch(() => {
+      throw new Error('Unable to verify session');
+    });
+  if (!active) throw new Error('Session has been revoked');
+  if (restriction) throw new Error(describeRestriction(restriction));
+  return decoded;
+});
+
 const verifyToken = (req, res, next) => {
   const token = req.headers.authorization?.split(' ')[1];
   if (!token) return res.status(401).json({ message: 'No token provided' });
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
-    if (err) return res.status(403).json({ message: 'Invalid token' });
-    console.log('Decoded JWT payload:', decoded);  // Add this for debug
+  decodeToken(token).then((decoded) => {
     req.userId = decoded.userId;
-    if (!req.userId) {
-      return res.status(403).json({ message: 'User ID missing in token payload' });
-    }
+    req.userRole = decoded.role || 'user';
+    req.sessionId = decoded.sid;
     next();
-  });
+  }, (err) => res.status(403).json({ message: err.message }));
+};
+
+// For public routes that show more to signed-in users: sets req.userId when a valid token is sent, never rejects
+const optionalAuth = (req, res, next) => {
+  const token = req.headers.authorization?.split(' ')[1];
+  if (!token) return next();
+
+  decodeToken(token).then((decoded) => {
+    req.userId = decoded.userId;
+    req.userRole = decoded.role || 'user';
+    next();
+  }, () => next());
 };
 
 module.exports = verifyToken;
+module.exports.optionalAuth = optionalAuth;
+module.exports.decodeToken = decodeToken;
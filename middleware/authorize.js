@@ -0,0 +1,19 @@
+const { hasPermission } = require('../services/rbac');
+
+// Use after verifyToken, which sets req.userRole from the token's role claim
+
+const requireRole = (...roles) => (req, res, next) => {
+  if (!roles.includes(req.userRole)) {
+    return res.status(403).json({ error: 'Insufficient role' });
+  }
+  next();
+};
+
+const requirePermission = (...permissions) => (req, res, next) => {
+  if (!permissions.every(permission => hasPermission(req.userRole, permission))) {
+    return res.status(403).json({ error: 'Insufficient permissions' });
+  }
+  next();
+};
+
+module.exports = { requireRole, requirePermission };
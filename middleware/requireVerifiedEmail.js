@@ -0,0 +1,26 @@
+const { db, auth } = require('../config/firebase');
+const logger = require('../logger');
+
+// EMAIL_VERIFICATION_REQUIRED=false turns the check off (e.g. for local development)
+const enforced = () => process.env.EMAIL_VERIFICATION_REQUIRED !== 'false';
+
+// Use after verifyToken on actions that need a confirmed email address
+module.exports = async (req, res, next) => {
+  if (!enforced()) return next();
+  try {
+    const userRecord = await auth.getUser(req.userId);
+    if (!userRecord.emailVerified) {
+      return res.status(403).json({ error: 'Email verification required' });
+    }
+    // Verification happens on Firebase's side, so mirror it onto the profile the first time we see it
+    const userRef = db.collection('users').doc(req.userId);
+    const userDoc = await userRef.get();
+    if (userDoc.exists && !userDoc.data().verified) {
+      await userRef.update({ verified: true });
+    }
+    next();
+  } catch (error) {
+    logger.error('Error checking email verification:', error);
+    res.status(500).json({ error: 'Failed to verify account' });
+  }
+};
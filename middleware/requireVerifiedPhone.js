@@ -0,0 +1,16 @@
+const { db } = require('../config/firebase');
+const logger = require('../logger');
+
+// Use after verifyToken on actions that move money or commit a user to work
+module.exports = async (req, res, next) => {
+  try {
+    const userDoc = await db.collection('users').doc(req.userId).get();
+    if (!userDoc.exists || !userDoc.data().phoneVerified) {
+      return res.status(403).json({ error: 'Phone verification required' });
+    }
+    next();
+  } catch (error) {
+    logger.error('Error checking phone verification:', error);
+    res.status(500).json({ error: 'Failed to verify account' });
+  }
+};
@@ -2,12 +2,13 @@
 const Joi = require('joi');
 
 module.exports = (schema) => (req, res, next) => {
-  const { error } = schema.validate(req.body, { abortEarly: false });  // Get all errors at once
+  const { error, value } = schema.validate(req.body, { abortEarly: false });  // Get all errors at once
   if (error) {
     return res.status(400).json({ 
       error: 'Validation failed',
       details: error.details.map(detail => detail.message)
     });
   }
+  req.body = value; // Handlers see defaults applied and values converted (e.g. ISO strings to Dates)
   next();
 };
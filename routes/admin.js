@@ -0,0 +1,401 @@
+const express = require('express');
+const router = express.Router();
+const verifyToken = require('../middleware/auth');
+const { requirePermission } = require('../middleware/authorize');
+const { db, auth } = require('../config/firebase');
+const admin = require('firebase-admin');
+const Joi = require('joi');
+const validate = require('../middleware/validate');
+const logger = require('../logger');
+const { ROLES, outranks } = require('../services/rbac');
+const { auditRef, recordAudit } = require('../services/audit');
+const { ACCOUNT_STATUSES, setAccountStatus } = require('../services/moderation');
+const { revokeAllSessions } = require('../services/sessions');
+const { cancelWithRefund } = require('../services/payments');
+const { assertTransition } = require('../services/gigLifecycle');
+const { announceStatus } = require('../services/chat');
+const { removeCampaign } = require('../services/campaigns');
+const { encodeCursor, decodeCursor } = require('../services/search');
+
+const userSearchSchema = Joi.object({
+  q: Joi.string().trim().max(100).optional(), // email, E.164 phone or username prefix
+  status: Joi.string().valid(...ACCOUNT_STATUSES).optional(),
+  role: Joi.string().valid(...ROLES).optional(),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  cursor: Joi.string().max(1000).optional()
+});
+
+const reasonSchema = Joi.object({
+  reason: Joi.string().trim().max(500).required()
+});
+
+const suspendSchema = reasonSchema.keys({
+  until: Joi.date().iso().greater('now').required()
+});
+
+const roleSchema = Joi.object({
+  role: Joi.string().valid(...ROLES).required()
+});
+
+const visibilitySchema = reasonSchema.keys({
+  hidden: Joi.boolean().required()
+});
+
+const reportQuerySchema = Joi.object({
+  status: Joi.string().valid('open', 'resolved', 'dismissed').default('open'),
+  targetType: Joi.string().valid('user', 'gig', 'ad').optional(),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  cursor: Joi.string().max(1000).optional()
+});
+
+const resolveReportSchema = Joi.object({
+  status: Joi.string().valid('resolved', 'dismissed').required(),
+  resolution: Joi.string().trim().max(1000).allow('').default('')
+});
+
+const auditQuerySchema = Joi.object({
+  actorId: Joi.string().optional(),
+  targetId: Joi.string().optional(),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+  cursor: Joi.string().max(1000).optional()
+});
+
+// Admin errors carry their status; anything else is a 500
+const sendAdminError = (res, error, message) => {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  logger.error(`${message}:`, error);
+  res.status(500).json({ error: message });
+};
+
+const actorOf = (req) => ({ userId: req.userId, role: req.userRole });
+
+// Newest-first page of a query ordered by createdAt, answered as { [key]: [...], nextCursor }
+async function sendPage(res, query, { limit, cursor, signature, key }) {
+  let page = query.orderBy('createdAt', 'desc').orderBy(admin.firestore.FieldPath.documentId(), 'desc');
+  if (cursor) {
+    const startAfter = decodeCursor(cursor, signature);
+    if (!startAfter) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+    page = page.startAfter(...startAfter);
+  }
+  const snapshot = await page.limit(limit).get();
+  const nextCursor = snapshot.size === limit
+    ? encodeCursor(snapshot.docs[snapshot.size - 1], ['createdAt'], signature)
+    : null;
+  res.json({ [key]: snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })), nextCursor });
+}
+
+// Load the target account and make sure the caller outranks it
+const loadModeratedUser = async (req, res, next) => {
+  if (req.params.id === req.userId) {
+    return res.status(403).json({ error: 'You cannot moderate your own account' });
+  }
+  try {
+    const userDoc = await db.collection('users').doc(req.params.id).get();
+    if (!userDoc.exists) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!outranks(req.userRole, userDoc.data().role)) {
+      return res.status(403).json({ error: 'Cannot moderate an account with an equal or higher role' });
+    }
+    req.targetUser = { id: userDoc.id, ...userDoc.data() };
+    next();
+  } catch (error) {
+    sendAdminError(res, error, 'Failed to fetch user');
+  }
+};
+
+router.use(verifyToken);
+
+// GET /api/admin/users - Find users by email, phone or username prefix, or list by status/role
+router.get('/users', requirePermission('users:read'), async (req, res) => {
+  const { error, value } = userSearchSchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+  const { q, status, role, limit, cursor } = value;
+
+  try {
+    // Exact lookups: at most one match, no paging
+    if (q && q.includes('@')) {
+      const record = await auth.getUserByEmail(q).catch(() => null);
+      const userDoc = record && await db.collection('users').doc(record.uid).get();
+      return res.json({ users: userDoc?.exists ? [{ id: userDoc.id, email: record.email, ...userDoc.data() }] : [], nextCursor: null });
+    }
+
+    let query = db.collection('users');
+    if (status) query = query.where('moderation.status', '==', status);
+    if (role) query = query.where('role', '==', role);
+    if (q && q.startsWith('+')) {
+      query = query.where('phoneNumber', '==', q);
+    } else if (q) {
+      query = query.where('username', '>=', q).where('username', '<', `${q}\uf8ff`);
+    }
+    query = query.orderBy('username').orderBy(admin.firestore.FieldPath.documentId());
+
+    const signature = `admin-users:${q || ''}:${status || ''}:${role || ''}`;
+    if (cursor) {
+      const startAfter = decodeCursor(cursor, signature);
+      if (!startAfter) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+      query = query.startAfter(...startAfter);
+    }
+    const snapshot = await query.limit(limit).get();
+    const nextCursor = snapshot.size === limit
+      ? encodeCursor(snapshot.docs[snapshot.size - 1], ['username'], signature)
+      : null;
+    res.json({ users: snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })), nextCursor });
+  } catch (error) {
+    sendAdminError(res, error, 'Failed to search users');
+  }
+});
+
+// GET /api/admin/users/:id - Full user record with open reports against the account
+router.get('/users/:id', requirePermission('users:read'), async (req, res) => {
+  try {
+    const [userDoc, reports] = await Promise.all([
+      db.collection('users').doc(req.params.id).get(),
+      db.collection('reports')
+        .where('targetType', '==', 'user')
+        .where('targetId', '==', req.params.id)
+        .where('status', '==', 'open')
+        .get()
+    ]);
+    if (!userDoc.exists) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json({
+      id: userDoc.id,
+      ...userDoc.data(),
+      openReports: reports.docs.map(doc => ({ id: doc.id, ...doc.data() }))
+    });
+  } catch (error) {
+    sendAdminError(res, error, 'Failed to fetch user');
+  }
+});
+
+// POST /api/admin/users/:id/suspend - Block sign-in until a date and end all sessions
+router.post('/users/:id/suspend', requirePermission('users:moderate'), validate(suspendSchema), loadModeratedUser, async (req, res) => {
+  try {
+    const result = await setAccountStatus(req.targetUser.id, { status: 'suspended', until: req.body.until, reason: req.body.reason }, actorOf(req));
+    logger.info('User suspended:', { userId: req.targetUser.id, by: req.userId, until: req.body.until });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendAdminError(res, error, 'Failed to suspend user');
+  }
+});
+
+// POST /api/admin/users/:id/ban - Block the account indefinitely and end all sessions
+router.post('/users/:id/ban', requirePermission('users:moderate'), validate(reasonSchema), loadModeratedUser, async (req, res) => {
+  try {
+    const result = await setAccountStatus(req.targetUser.id, { status: 'banned', reason: req.body.reason }, actorOf(req));
+    logger.info('User banned:', { userId: req.targetUser.id, by: req.userId });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendAdminError(res, error, 'Failed to ban user');
+  }
+});
+
+// POST /api/admin/users/:id/reinstate - Lift a suspension or ban
+router.post('/users/:id/reinstate', requirePermission('users:moderate'), validate(reasonSchema), loadModeratedUser, async (req, res) => {
+  try {
+    const result = await setAccountStatus(req.targetUser.id, { status: 'active', reason: req.body.reason }, actorOf(req));
+    logger.info('User reinstated:', { userId: req.targetUser.id, by: req.userId });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendAdminError(res, error, 'Failed to reinstate user');
+  }
+});
+
+// PATCH /api/admin/users/:id/role - Change a user's role (admin only); existing tokens carry the old role, so sessions end
+router.patch('/users/:id/role', requirePermission('users:roles'), validate(roleSchema), loadModeratedUser, async (req, res) => {
+  const { role } = req.body;
+  try {
+    const batch = db.batch();
+    batch.update(db.collection('users').doc(req.targetUser.id), { role });
+    recordAudit({
+      actorId: req.userId,
+      actorRole: req.userRole,
+      action: 'user.role',
+      targetType: 'user',
+      targetId: req.targetUser.id,
+      details: { from: req.targetUser.role || 'user', to: role }
+    }, batch);
+    await batch.commit();
+    const revokedSessions = await revokeAllSessions(req.targetUser.id, 'role_changed');
+    logger.info('User role changed:', { userId: req.targetUser.id, role, by: req.userId });
+    res.json({ success: true, role, revokedSessions });
+  } catch (error) {
+    sendAdminError(res, error, 'Failed to change role');
+  }
+});
+
+// POST /api/admin/gigs/:id/cancel - Force-cancel a gig in any non-final status, refunding escrow
+// (refused once the payment has been released to the worker; that money is in their wallet).
+// Chargebacks and refunds already under way are left for Stripe to settle.
+router.post('/gigs/:id/cancel', requirePermission('gigs:moderate'), validate(reasonSchema), async (req, res) => {
+  const { id } = req.params;
+  const { reason } = req.body;
+  try {
+    const gigDoc = await db.collection('gigs').doc(id).get();
+    if (!gigDoc.exists) {
+      return res.status(404).json({ error: 'Gig not found' });
+    }
+    const gigData = gigDoc.data();
+    assertTransition(gigData.status, 'cancelled', 'moderator');
+    if (gigData.payment?.status === 'released') {
+      return res.status(409).json({ error: 'Payment was already released to the worker and cannot be refunded by cancelling' });
+    }
+
+    // The audit entry commits with the cancellation itself
+    const payment = await cancelWithRefund(id, {
+      from: gigData.status,
+      actorId: req.userId,
+      role: 'moderator',
+      note: reason,
+      within: (transaction, gigRef, current) => recordAudit({
+        actorId: req.userId,
+        actorRole: req.userRole,
+        action: 'gig.cancel',
+        targetType: 'gig',
+        targetId: id,
+        reason,
+        details: { from: current.status, payment: current.payment?.status || null }
+      }, transaction)
+    });
+    await announceStatus(id, 'cancelled', req.userId);
+    logger.info('Gig force-cancelled:', { gigId: id, by: req.userId });
+    res.json({ success: true, payment });
+  } catch (error) {
+    sendAdminError(res, error, 'Failed to cancel gig');
+  }
+});
+
+// PATCH /api/admin/gigs/:id/visibility - Hide a gig from listings and search, or show it again
+router.patch('/gigs/:id/visibility', requirePermission('gigs:moderate'), validate(visibilitySchema), async (req, res) => {
+  const { id } = req.params;
+  const { hidden, reason } = req.body;
+  try {
+    const gigRef = db.collection('gigs').doc(id);
+    const gigDoc = await gigRef.get();
+    if (!gigDoc.exists) {
+      return res.status(404).json({ error: 'Gig not found' });
+    }
+    const batch = db.batch();
+    batch.update(gigRef, {
+      hidden,
+      hiddenReason: hidden ? reason : admin.firestore.FieldValue.delete(),
+      hiddenBy: hidden ? req.userId : admin.firestore.FieldValue.delete()
+    });
+    recordAudit({
+      actorId: req.userId,
+      actorRole: req.userRole,
+      action: hidden ? 'gig.hide' : 'gig.unhide',
+      targetType: 'gig',
+      targetId: id,
+      reason
+    }, batch);
+    await batch.commit();
+    logger.info('Gig visibility changed:', { gigId: id, hidden, by: req.userId });
+    res.json({ success: true, hidden });
+  } catch (error) {
+    sendAdminError(res, error, 'Failed to change gig visibility');
+  }
+});
+
+// DELETE /api/admin/ads/:campaignId - Remove a campaign and every mailbox copy of its ad, refunding unspent budget
+router.delete('/ads/:campaignId', requirePermission('ads:moderate'), validate(reasonSchema), async (req, res) => {
+  const { campaignId } = req.params;
+  const { reason } = req.body;
+  try {
+    const campaignDoc = await db.collection('campaigns').doc(campaignId).get();
+    if (!campaignDoc.exists) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    const { removedItems, refundedCents, refundPending } = await removeCampaign(campaignId, { reason, removedBy: req.userId });
+    await recordAudit({
+      actorId: req.userId,
+      actorRole: req.userRole,
+      action: 'ad.remove',
+      targetType: 'ad',
+      targetId: campaignId,
+      reason,
+      details: { ownerId: campaignDoc.data().ownerId, removedItems, refundedCents, refundPending }
+    });
+    logger.info('Campaign removed by moderation:', { campaignId, removedItems, refundedCents, by: req.userId });
+    res.json({ success: true, removedItems, refundedCents, refundPending });
+  } catch (error) {
+    sendAdminError(res, error, 'Failed to remove ad');
+  }
+});
+
+// GET /api/admin/reports - User reports, newest first (default: open)
+router.get('/reports', requirePermission('reports:read'), async (req, res) => {
+  const { error, value } = reportQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+  const { status, targetType, limit, cursor } = value;
+  try {
+    let query = db.collection('reports').where('status', '==', status);
+    if (targetType) query = query.where('targetType', '==', targetType);
+    await sendPage(res, query, { limit, cursor, signature: `admin-reports:${status}:${targetType || ''}`, key: 'reports' });
+  } catch (error) {
+    sendAdminError(res, error, 'Failed to fetch reports');
+  }
+});
+
+// PATCH /api/admin/reports/:id - Resolve or dismiss a report
+router.patch('/reports/:id', requirePermission('reports:resolve'), validate(resolveReportSchema), async (req, res) => {
+  const { status, resolution } = req.body;
+  try {
+    const reportRef = db.collection('reports').doc(req.params.id);
+    const reportDoc = await reportRef.get();
+    if (!reportDoc.exists) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+    const batch = db.batch();
+    batch.update(reportRef, {
+      status,
+      resolution,
+      resolvedBy: req.userId,
+      resolvedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    recordAudit({
+      actorId: req.userId,
+      actorRole: req.userRole,
+      action: `report.${status === 'resolved' ? 'resolve' : 'dismiss'}`,
+      targetType: 'report',
+      targetId: req.params.id,
+      reason: resolution,
+      details: { targetType: reportDoc.data().targetType, targetId: reportDoc.data().targetId }
+    }, batch);
+    await batch.commit();
+    res.json({ success: true, status });
+  } catch (error) {
+    sendAdminError(res, error, 'Failed to update report');
+  }
+});
+
+// GET /api/admin/audit-log - Admin actions, newest first (admin only)
+router.get('/audit-log', requirePermission('audit:read'), async (req, res) => {
+  const { error, value } = auditQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+  const { actorId, targetId, limit, cursor } = value;
+  try {
+    let query = auditRef();
+    if (actorId) query = query.where('actorId', '==', actorId);
+    if (targetId) query = query.where('targetId', '==', targetId);
+    await sendPage(res, query, { limit, cursor, signature: `audit:${actorId || ''}:${targetId || ''}`, key: 'entries' });
+  } catch (error) {
+    sendAdminError(res, error, 'Failed to fetch audit log');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const verifyToken = require('../middleware/auth');
+const { assertChatAccess, fetchHistory, countUnread } = require('../services/chat');
+const logger = require('../logger');
+
+// GET /api/chats/unread - Unread message counts across all of the user's gig chats, for badges
+router.get('/unread', verifyToken, async (req, res) => {
+  try {
+    res.json(await countUnread(req.userId));
+  } catch (error) {
+    logger.error('Error counting unread messages:', { error: error.message, userId: req.userId });
+    res.status(500).json({ error: 'Failed to count unread messages' });
+  }
+});
+
+// GET /api/chats/:gigId/messages - Paginated chat history (poster or assigned worker only)
+// Query: before (message id to page back from), limit
+router.get('/:gigId/messages', verifyToken, async (req, res) => {
+  const { gigId } = req.params;
+  try {
+    await assertChatAccess(gigId, req.userId);
+    const page = await fetchHistory(gigId, { before: req.query.before, limit: req.query.limit });
+    res.json(page);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Error fetching chat history:', { error: error.message, gigId });
+    res.status(500).json({ error: 'Failed to fetch chat history' });
+  }
+});
+
+module.exports = router;
@@ -1,32 +1,219 @@
 const express = require('express');
 const router = express.Router();
 const verifyToken = require('../middleware/auth');
+const { optionalAuth } = require('../middleware/auth');
+const requireVerifiedPhone = require('../middleware/requireVerifiedPhone');
+const requireVerifiedEmail = require('../middleware/requireVerifiedEmail');
 const { db } = require('../config/firebase');
 const admin = require('firebase-admin');
 const Joi = require('joi');
 const logger = require('../logger'); // Assume a shared logger module like Winston from users.js
+const validate = require('../middleware/validate');
+const { httpError } = require('../services/errors');
+const { holdEscrow, releaseEscrow, cancelWithRefund } = require('../services/payments');
+const { blurCoordinate, geohashFor, distanceKm, queryWithinRadius, boxToCircle, inBox } = require('../services/geo');
+const { tokenize, encodeCursor, decodeCursor } = require('../services/search');
+const { submitReview } = require('../services/reviews');
+const { announceStatus } = require('../services/chat');
+const { hasPermission } = require('../services/rbac');
+const { SCOPES } = require('../services/homeRecords');
+const { gigFieldsFromHome, getSharedHomeRecords } = require('../services/homeGigs');
+const {
+  seriesRef,
+  occurrencesRef,
+  hasActiveOffer,
+  createSeries,
+  upcomingDates,
+  skipOccurrence,
+  cancelSeries,
+  offerStandingWork,
+  acceptStandingWork,
+  endStandingWork,
+  declineOffer
+} = require('../services/gigSeries');
+const crypto = require('crypto');
+const {
+  STATUSES,
+  roleFor,
+  allowedTransitions,
+  assertTransition,
+  assignWorker,
+  revertAssignment,
+  transitionGig,
+  getGigHistory
+} = require('../services/gigLifecycle');
+
+const bidSchema = Joi.object({
+  price: Joi.number().positive().required(),
+  message: Joi.string().max(1000).required(),
+  eta: Joi.date().iso().greater('now').required() // When the worker expects to be done
+});
+
+const listSchema = Joi.object({
+  status: Joi.string().valid(...STATUSES).optional(),
+  category: Joi.string().max(50).optional(),
+  posterId: Joi.string().optional(),
+  minPrice: Joi.number().min(0).optional(),
+  maxPrice: Joi.number().min(Joi.ref('minPrice', { adjust: (v) => v || 0 })).optional(),
+  deadlineFrom: Joi.date().iso().optional(),
+  deadlineTo: Joi.date().iso().min(Joi.ref('deadlineFrom', { adjust: (v) => v || 0 })).optional(),
+  minDuration: Joi.number().positive().optional(), // estimatedDuration, in hours
+  maxDuration: Joi.number().positive().optional(),
+  q: Joi.string().max(200).optional(), // Keywords matched against title and description
+  sort: Joi.string().valid(
+    'createdAt:desc', 'createdAt:asc', 'price:asc', 'price:desc', 'deadline:asc', 'deadline:desc'
+  ).default('createdAt:desc'),
+  limit: Joi.number().integer().min(1).max(50).default(10),
+  cursor: Joi.string().max(2000).optional()
+});
+
+// Query param pairs that become range filters on a gig field
+const RANGE_FILTERS = [
+  ['price', 'minPrice', 'maxPrice'],
+  ['deadline', 'deadlineFrom', 'deadlineTo'],
+  ['estimatedDuration', 'minDuration', 'maxDuration']
+];
+
+// Keyword searches refine all but one token in memory, so cap how far one page may scan
+const MAX_SCAN_BATCHES = 5;
+
+const nearbySchema = Joi.object({
+  lat: Joi.number().min(-90).max(90).required(),
+  lng: Joi.number().min(-180).max(180).required(),
+  radiusKm: Joi.number().positive().max(100).default(10),
+  status: Joi.string().valid(...STATUSES).default('open'),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+const boxSchema = Joi.object({
+  north: Joi.number().min(-90).max(90).required(),
+  south: Joi.number().min(-90).max(Joi.ref('north')).required(),
+  east: Joi.number().min(-180).max(180).required(),
+  west: Joi.number().min(-180).max(Joi.ref('east')).required(),
+  lat: Joi.number().min(-90).max(90).optional(), // Caller position for distance ranking
+  lng: Joi.number().min(-180).max(180).optional(),
+  status: Joi.string().valid(...STATUSES).default('open'),
+  limit: Joi.number().integer().min(1).max(200).default(50)
+}).and('lat', 'lng');
+
+// Largest viewport we will fan out geohash queries for
+const MAX_VIEWPORT_RADIUS_KM = 200;
+
+// Gigs hidden by moderators stay visible to their participants only
+const isListed = (doc) => !doc.get('hidden');
+
+/**
+ * Shape a gig for a viewer. Only the poster and the assigned worker ever see exactLocation
+ * (and, for home gigs, the street address and which home records are shared);
+ * distances are measured from approximateLocation for the same reason.
+ */
+const presentGig = (id, gigData, viewerId, origin) => {
+  const gig = { id, ...gigData };
+  if (!viewerId || (viewerId !== gigData.userId && viewerId !== gigData.acceptedBy)) {
+    delete gig.exactLocation;
+    delete gig.exactAddress;
+    delete gig.sharedRecords;
+  }
+  if (origin && gigData.approximateLocation) {
+    gig.distanceKm = Math.round(distanceKm(origin, gigData.approximateLocation) * 10) / 10;
+  }
+  return gig;
+};
+
+const byDistance = (a, b) => a.distanceKm - b.distanceKm;
+
+const reviewSchema = Joi.object({
+  rating: Joi.number().integer().min(1).max(5).required(),
+  review: Joi.string().trim().max(2000).allow('').default('')
+});
+
+const statusSchema = Joi.object({
+  status: Joi.string().valid(...STATUSES).required(),
+  note: Joi.string().max(500).optional()
+});
+
+// Fields a poster sets on a gig; recurring series take the same fields minus the deadline
+const gigSchema = Joi.object({
+  title: Joi.string().min(5).max(100).required(),
+  description: Joi.string().min(10).required(),
+  price: Joi.number().positive().required(),
+  category: Joi.string().optional(), // e.g., "plumbing", "delivery"
+  deadline: Joi.date().optional(), // ISO date string for urgency
+  estimatedDuration: Joi.number().positive().optional(), // In hours
+  attachments: Joi.array().items(Joi.string().uri()).optional(), // URLs to images/docs
+  location: Joi.object({ // Optional exact location object
+    latitude: Joi.number().min(-90).max(90).required(),
+    longitude: Joi.number().min(-180).max(180).required()
+  }).optional(),
+  acceptanceMode: Joi.string().valid('bids', 'instant').optional(), // 'bids' lets the poster pick a worker
+  homeId: Joi.string().optional(), // Household job: address and location come from the home
+  sharedRecords: Joi.array().items(Joi.object({ // Home records the assigned worker may read during the gig
+    scope: Joi.string().valid(...SCOPES).required(),
+    recordId: Joi.string().required()
+  })).max(20).unique((a, b) => a.scope === b.scope && a.recordId === b.recordId).optional()
+}).oxor('homeId', 'location').with('sharedRecords', 'homeId');
+
+const seriesSchema = gigSchema.keys({
+  deadline: Joi.forbidden(), // Each occurrence is due at its own time
+  rrule: Joi.string().max(200).required(), // e.g. "FREQ=WEEKLY;BYDAY=SA" or "FREQ=WEEKLY;INTERVAL=2;COUNT=10"
+  startAt: Joi.date().iso().greater('now').required() // First occurrence; later ones keep its time of day (UTC)
+});
+
+// Text edits while a gig is open; searchTokens are rebuilt from the result
+const editSchema = Joi.object({
+  title: Joi.string().min(5).max(100),
+  description: Joi.string().min(10)
+}).or('title', 'description');
+
+const skipSchema = Joi.object({
+  occurrenceAt: Joi.date().iso().required()
+});
+
+const standingOfferSchema = Joi.object({
+  workerId: Joi.string().max(128).required()
+});
+
+/**
+ * Stored gig fields from a validated body: search tokens, deadline as a timestamp, and
+ * location (exact plus blurred) either from the body or from the linked home.
+ */
+async function gigContent(body, userId) {
+  const content = {
+    ...body,
+    acceptanceMode: body.acceptanceMode || 'bids',
+    searchTokens: tokenize(body.title, body.description)
+  };
+  // Stored as a timestamp so deadline windows can be range-queried
+  if (body.deadline) {
+    content.deadline = new Date(body.deadline);
+  }
+
+  // Handle location: Store exact and compute approximate for privacy
+  if (body.location) {
+    const { latitude, longitude } = body.location;
+    content.exactLocation = new admin.firestore.GeoPoint(latitude, longitude);
+    const approxLat = blurCoordinate(latitude);
+    const approxLong = blurCoordinate(longitude);
+    content.approximateLocation = new admin.firestore.GeoPoint(approxLat, approxLong);
+    // Indexed from the blurred point so the hash itself can be public
+    content.geohash = geohashFor(approxLat, approxLong);
+    // Remove original 'location' from content to avoid duplication
+    delete content.location;
+  }
+
+  if (body.homeId) {
+    Object.assign(content, await gigFieldsFromHome(body.homeId, userId, body.sharedRecords));
+  }
+  return content;
+}
 
 /**
  * @route POST /gigs
  * @desc Create a new gig (authenticated users only)
- * @access Private
+ * @access Private (verified email, unless EMAIL_VERIFICATION_REQUIRED=false)
  */
-router.post('/gigs', verifyToken, async (req, res) => {
-  const schema = Joi.object({
-    title: Joi.string().min(5).max(100).required(),
-    description: Joi.string().min(10).required(),
-    price: Joi.number().positive().required(),
-    category: Joi.string().optional(), // e.g., "plumbing", "delivery"
-    deadline: Joi.date().optional(), // ISO date string for urgency
-    estimatedDuration: Joi.number().positive().optional(), // In hours
-    attachments: Joi.array().items(Joi.string().uri()).optional(), // URLs to images/docs
-    location: Joi.object({ // Optional exact location object
-      latitude: Joi.number().min(-90).max(90).required(),
-      longitude: Joi.number().min(-180).max(180).required()
-    }).optional()
-  });
-
-  const { error } = schema.validate(req.body);
+router.post('/gigs', verifyToken, requireVerifiedEmail, async (req, res) => {
+  const { error } = gigSchema.validate(req.body);
   if (error) {
     return res.status(400).json({ error: error.details[0].message });
   }
@@ -37,29 +224,20 @@ router.post('/gigs', verifyToken, async (req, res) => {
     return res.status(403).json({ error: 'Unauthorized: User ID not found' });
   }
 
-  const gigData = {
-    ...req.body,
-    userId: req.userId,
-    createdAt: admin.firestore.FieldValue.serverTimestamp(),
-    status: 'open',
-  };
-
-  // Handle location: Store exact and compute approximate for privacy
-  if (req.body.location) {
-    const { latitude, longitude } = req.body.location;
-    gigData.exactLocation = new admin.firestore.GeoPoint(latitude, longitude);
-    // Simple blur for approximate: Round to 1 decimal place (~11km accuracy; adjust as needed)
-    const approxLat = Math.round(latitude * 10) / 10;
-    const approxLong = Math.round(longitude * 10) / 10;
-    gigData.approximateLocation = new admin.firestore.GeoPoint(approxLat, approxLong);
-    // Remove original 'location' from gigData to avoid duplication
-    delete gigData.location;
-  }
-
   try {
+    const gigData = {
+      ...(await gigContent(req.body, req.userId)),
+      userId: req.userId,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      status: 'open',
+      bidCount: 0
+    };
     const gigRef = await db.collection('gigs').add(gigData);
     res.status(201).json({ id: gigRef.id, ...gigData });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     logger.error('Error creating gig:', error); // Log full error
     console.error('Full error stack:', error.stack); // Temporary debug
     res.status(500).json({ error: 'Failed to create gig. Please try again.' });
@@ -68,51 +246,371 @@ router.post('/gigs', verifyToken, async (req, res) => {
 
 /**
  * @route GET /gigs
- * @desc Get all gigs with optional filtering, sorting, and pagination (public)
+ * @desc List gigs with whitelisted filters, keyword search and cursor pagination (public)
  * @access Public
  */
-router.get('/gigs', async (req, res) => {
-  const { limit = 10, offset = 0, status, sort } = req.query;
+router.get('/gigs', optionalAuth, async (req, res) => {
+  const { error, value } = listSchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+
+  const { status, category, posterId, q, limit, cursor } = value;
+  const [sortField, direction] = value.sort.split(':');
   let query = db.collection('gigs');
 
-  if (status) {
-    query = query.where('status', '==', status);
+  if (status) query = query.where('status', '==', status);
+  if (category) query = query.where('category', '==', category);
+  if (posterId) query = query.where('userId', '==', posterId);
+
+  // The longest keyword narrows the query; the rest are checked per document
+  const tokens = q ? tokenize(q).sort((a, b) => b.length - a.length) : [];
+  if (q && !tokens.length) {
+    return res.status(400).json({ error: 'Search query has no searchable words' });
+  }
+  if (tokens.length) {
+    query = query.where('searchTokens', 'array-contains', tokens[0]);
   }
-  // Add more filters if needed, e.g., price range
 
-  if (sort) {
-    const [field, direction = 'desc'] = sort.split(':');
-    query = query.orderBy(field, direction);
+  const rangeFields = [];
+  RANGE_FILTERS.forEach(([field, minKey, maxKey]) => {
+    if (value[minKey] === undefined && value[maxKey] === undefined) return;
+    if (value[minKey] !== undefined) query = query.where(field, '>=', value[minKey]);
+    if (value[maxKey] !== undefined) query = query.where(field, '<=', value[maxKey]);
+    rangeFields.push(field);
+  });
+
+  // Firestore orders by range-filtered fields first; the document id breaks ties so pages never overlap
+  const orderFields = rangeFields.includes(sortField)
+    ? [sortField, ...rangeFields.filter(field => field !== sortField)]
+    : [...rangeFields, sortField];
+  orderFields.forEach(field => {
+    query = query.orderBy(field, field === sortField ? direction : 'asc');
+  });
+  query = query.orderBy(admin.firestore.FieldPath.documentId(), direction);
+
+  const { cursor: _cursor, limit: _limit, ...shape } = value;
+  const signature = crypto.createHash('sha1').update(JSON.stringify(shape)).digest('base64url').slice(0, 12);
+  let startAfter = null;
+  if (cursor) {
+    startAfter = decodeCursor(cursor, signature);
+    if (!startAfter) {
+      return res.status(400).json({ error: 'Invalid cursor for this query' });
+    }
   }
 
   try {
-    const snapshot = await query.limit(Number(limit)).offset(Number(offset)).get();
-    const gigs = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-    res.json(gigs);
+    const matches = [];
+    let lastDoc = null;
+    let exhausted = false;
+    for (let batch = 0; batch < MAX_SCAN_BATCHES && matches.length < limit && !exhausted; batch++) {
+      const page = startAfter ? query.startAfter(...startAfter) : query;
+      const snapshot = await page.limit(limit).get();
+      exhausted = snapshot.size < limit;
+      for (const doc of snapshot.docs) {
+        lastDoc = doc;
+        const docTokens = doc.get('searchTokens') || [];
+        if (isListed(doc) && tokens.slice(1).every(token => docTokens.includes(token))) {
+          matches.push(doc);
+        }
+        if (matches.length === limit) {
+          exhausted = exhausted && doc === snapshot.docs[snapshot.size - 1];
+          break;
+        }
+      }
+      if (lastDoc) {
+        startAfter = [...orderFields.map(field => lastDoc.get(field)), lastDoc.id];
+      }
+    }
+
+    const gigs = matches.map(doc => presentGig(doc.id, doc.data(), req.userId));
+    const nextCursor = !exhausted && lastDoc ? encodeCursor(lastDoc, orderFields, signature) : null;
+    res.json({ gigs, nextCursor });
   } catch (error) {
     logger.error('Error fetching gigs:', { error: error.message });
     res.status(500).json({ error: 'Failed to fetch gigs. Please try again.' });
   }
 });
 
+/**
+ * @route GET /gigs/nearby
+ * @desc Gigs within radiusKm of lat/lng, nearest first (public)
+ * @access Public
+ */
+router.get('/gigs/nearby', optionalAuth, async (req, res) => {
+  const { error, value } = nearbySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+
+  const { lat, lng, radiusKm, status, limit } = value;
+  const origin = { latitude: lat, longitude: lng };
+
+  try {
+    const docs = await queryWithinRadius(
+      () => db.collection('gigs').where('status', '==', status),
+      origin,
+      radiusKm
+    );
+    // Geohash bounds are a superset of the circle, so trim to the real radius
+    const gigs = docs
+      .filter(isListed)
+      .map(doc => presentGig(doc.id, doc.data(), req.userId, origin))
+      .filter(gig => gig.distanceKm <= radiusKm)
+      .sort(byDistance)
+      .slice(0, limit);
+    res.json(gigs);
+  } catch (error) {
+    logger.error('Error fetching nearby gigs:', { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch nearby gigs. Please try again.' });
+  }
+});
+
+/**
+ * @route GET /gigs/bbox
+ * @desc Gigs inside a map viewport, ranked by distance from lat/lng (or the viewport center)
+ * @access Public
+ */
+router.get('/gigs/bbox', optionalAuth, async (req, res) => {
+  const { error, value } = boxSchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+
+  const { center, radiusKm } = boxToCircle(value);
+  if (radiusKm > MAX_VIEWPORT_RADIUS_KM) {
+    return res.status(400).json({ error: 'Viewport too large. Zoom in to search.' });
+  }
+  const origin = value.lat !== undefined ? { latitude: value.lat, longitude: value.lng } : center;
+
+  try {
+    const docs = await queryWithinRadius(
+      () => db.collection('gigs').where('status', '==', value.status),
+      center,
+      radiusKm
+    );
+    const gigs = docs
+      .filter(doc => isListed(doc) && doc.data().approximateLocation && inBox(doc.data().approximateLocation, value))
+      .map(doc => presentGig(doc.id, doc.data(), req.userId, origin))
+      .sort(byDistance)
+      .slice(0, value.limit);
+    res.json(gigs);
+  } catch (error) {
+    logger.error('Error fetching gigs in viewport:', { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch gigs. Please try again.' });
+  }
+});
+
+// Series errors carry their status; anything else is a 500
+const sendSeriesError = (res, error, message, context) => {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  logger.error(`${message}:`, { error: error.message, ...context });
+  res.status(500).json({ error: `${message}. Please try again.` });
+};
+
+/**
+ * @route POST /gigs/series
+ * @desc Create a recurring gig: a template plus an RRULE-style recurrence; occurrences are
+ *       created as ordinary gigs ahead of time by the scheduler
+ * @access Private (verified email, unless EMAIL_VERIFICATION_REQUIRED=false)
+ */
+router.post('/gigs/series', verifyToken, requireVerifiedEmail, validate(seriesSchema), async (req, res) => {
+  const { rrule, startAt, ...fields } = req.body;
+  try {
+    const series = await createSeries(req.userId, await gigContent(fields, req.userId), { rrule, startAt });
+    logger.info('Gig series created:', { seriesId: series.id, userId: req.userId, rrule });
+    res.status(201).json(series);
+  } catch (error) {
+    sendSeriesError(res, error, 'Failed to create gig series', { userId: req.userId });
+  }
+});
+
+/**
+ * @route GET /gigs/series
+ * @desc List the caller's recurring gigs, newest first
+ * @access Private
+ */
+router.get('/gigs/series', verifyToken, async (req, res) => {
+  try {
+    const snapshot = await seriesRef().where('userId', '==', req.userId).orderBy('createdAt', 'desc').get();
+    res.json(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+  } catch (error) {
+    sendSeriesError(res, error, 'Failed to fetch gig series', { userId: req.userId });
+  }
+});
+
+/**
+ * @route GET /gigs/series/:seriesId
+ * @desc Get a series with its next dates and its most recent occurrences
+ * @access Private (poster or standing worker only)
+ */
+router.get('/gigs/series/:seriesId', verifyToken, async (req, res) => {
+  const { seriesId } = req.params;
+  try {
+    const seriesDoc = await seriesRef().doc(seriesId).get();
+    if (!seriesDoc.exists) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+    const series = seriesDoc.data();
+    if (![series.userId, series.standingWorkerId, series.standingOfferTo].includes(req.userId)) {
+      return res.status(403).json({ error: 'Not allowed to view this series' });
+    }
+    const occurrences = await occurrencesRef(seriesId).orderBy('occurrenceAt', 'desc').limit(20).get();
+    res.json({
+      id: seriesDoc.id,
+      ...series,
+      upcoming: series.status === 'active' ? upcomingDates(series, 5) : [],
+      occurrences: occurrences.docs.map(doc => ({
+        id: doc.id,
+        occurrenceAt: doc.data().occurrenceAt,
+        status: doc.data().status,
+        acceptedBy: doc.data().acceptedBy || null,
+        offeredTo: hasActiveOffer(doc.data()) ? doc.data().offeredTo : null
+      }))
+    });
+  } catch (error) {
+    sendSeriesError(res, error, 'Failed to fetch gig series', { seriesId });
+  }
+});
+
+/**
+ * @route POST /gigs/series/:seriesId/skip
+ * @desc Skip one upcoming occurrence; its gig is cancelled if it exists and nobody took it yet
+ * @access Private (poster only)
+ */
+router.post('/gigs/series/:seriesId/skip', verifyToken, validate(skipSchema), async (req, res) => {
+  const { seriesId } = req.params;
+  try {
+    const skipped = await skipOccurrence(seriesId, req.userId, req.body.occurrenceAt);
+    logger.info('Gig series occurrence skipped:', { seriesId, ...skipped });
+    res.json({ success: true, ...skipped });
+  } catch (error) {
+    sendSeriesError(res, error, 'Failed to skip occurrence', { seriesId });
+  }
+});
+
+/**
+ * @route POST /gigs/series/:seriesId/cancel
+ * @desc Cancel a series: no further occurrences, open ones cancelled, taken ones left to finish
+ * @access Private (poster only)
+ */
+router.post('/gigs/series/:seriesId/cancel', verifyToken, async (req, res) => {
+  const { seriesId } = req.params;
+  try {
+    const result = await cancelSeries(seriesId, req.userId);
+    logger.info('Gig series cancelled:', { seriesId, ...result });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendSeriesError(res, error, 'Failed to cancel gig series', { seriesId });
+  }
+});
+
+/**
+ * @route POST /gigs/series/:seriesId/standing/offer
+ * @desc Offer standing work on a series to a worker who has completed one of its occurrences
+ * @access Private (poster only)
+ */
+router.post('/gigs/series/:seriesId/standing/offer', verifyToken, validate(standingOfferSchema), async (req, res) => {
+  const { seriesId } = req.params;
+  try {
+    await offerStandingWork(seriesId, req.userId, req.body.workerId);
+    logger.info('Standing work offered:', { seriesId, workerId: req.body.workerId });
+    res.json({ success: true, message: 'Standing work offered' });
+  } catch (error) {
+    sendSeriesError(res, error, 'Failed to offer standing work', { seriesId });
+  }
+});
+
+/**
+ * @route POST /gigs/series/:seriesId/standing
+ * @desc Accept the poster's standing work offer: each new occurrence is offered to the caller first
+ * @access Private (verified phone; the worker the standing work was offered to)
+ */
+router.post('/gigs/series/:seriesId/standing', verifyToken, requireVerifiedPhone, async (req, res) => {
+  const { seriesId } = req.params;
+  try {
+    const result = await acceptStandingWork(seriesId, req.userId);
+    logger.info('Standing work accepted:', { seriesId, workerId: req.userId, ...result });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendSeriesError(res, error, 'Failed to take standing work', { seriesId });
+  }
+});
+
+/**
+ * @route DELETE /gigs/series/:seriesId/standing
+ * @desc End standing work (or an unaccepted standing work offer) and withdraw outstanding offers
+ * @access Private (poster, standing worker or offered worker only)
+ */
+router.delete('/gigs/series/:seriesId/standing', verifyToken, async (req, res) => {
+  const { seriesId } = req.params;
+  try {
+    await endStandingWork(seriesId, req.userId);
+    logger.info('Standing work ended:', { seriesId, userId: req.userId });
+    res.json({ success: true, message: 'Standing work ended' });
+  } catch (error) {
+    sendSeriesError(res, error, 'Failed to end standing work', { seriesId });
+  }
+});
+
 /**
  * @route GET /gigs/:id
  * @desc Get a gig by ID (public)
  * @access Public
  */
-router.get('/gigs/:id', async (req, res) => {
+router.get('/gigs/:id', optionalAuth, async (req, res) => {
   try {
     const doc = await db.collection('gigs').doc(req.params.id).get();
-    if (!doc.exists) {
+    if (!doc.exists || (!isListed(doc) && !roleFor(doc.data(), req.userId) && !hasPermission(req.userRole, 'gigs:moderate'))) {
       return res.status(404).json({ error: 'Gig not found' });
     }
-    res.json({ id: doc.id, ...doc.data() });
+    res.json(presentGig(doc.id, doc.data(), req.userId));
   } catch (error) {
     logger.error('Error fetching gig:', { error: error.message, gigId: req.params.id });
     res.status(500).json({ error: 'Failed to fetch gig. Please try again.' });
   }
 });
 
+/**
+ * @route PATCH /gigs/:id
+ * @desc Edit the title or description of an open gig; keyword search follows the new text
+ * @access Private (poster only)
+ */
+router.patch('/gigs/:id', verifyToken, validate(editSchema), async (req, res) => {
+  const { id } = req.params;
+  try {
+    const gigRef = db.collection('gigs').doc(id);
+    const gig = await db.runTransaction(async (transaction) => {
+      const gigDoc = await transaction.get(gigRef);
+      if (!gigDoc.exists) {
+        throw httpError(404, 'Gig not found');
+      }
+      const gigData = gigDoc.data();
+      if (gigData.userId !== req.userId) {
+        throw httpError(403, 'Only the poster can edit this gig');
+      }
+      if (gigData.status !== 'open') {
+        throw httpError(409, 'Only open gigs can be edited');
+      }
+      const title = req.body.title ?? gigData.title;
+      const description = req.body.description ?? gigData.description;
+      const edited = { title, description, searchTokens: tokenize(title, description) };
+      transaction.update(gigRef, { ...edited, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+      return { ...gigData, ...edited };
+    });
+    logger.info('Gig edited:', { gigId: id, userId: req.userId });
+    res.json(presentGig(id, gig, req.userId));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Error editing gig:', { error: error.message, gigId: id });
+    res.status(500).json({ error: 'Failed to edit gig. Please try again.' });
+  }
+});
+
 /**
  * @route GET /gigs/user/:userId
  * @desc Get gigs posted by a specific user (auth required, must match self)
@@ -137,9 +635,9 @@ router.get('/gigs/user/:userId', verifyToken, async (req, res) => {
 /**
  * @route POST /gigs/:id/accept
  * @desc Accept a gig (auth required)
- * @access Private
+ * @access Private (verified phone)
  */
-router.post('/gigs/:id/accept', verifyToken, async (req, res) => {
+router.post('/gigs/:id/accept', verifyToken, requireVerifiedPhone, async (req, res) => {
   const { id } = req.params;
 
   try {
@@ -157,37 +655,18 @@ router.post('/gigs/:id/accept', verifyToken, async (req, res) => {
       if (gigData.status !== 'open') {
         throw new Error('Gig is not open for acceptance');
       }
+      // A standing worker's offer is theirs alone until it runs out, and skips the bidding
+      const offered = hasActiveOffer(gigData);
+      if (offered && gigData.offeredTo !== req.userId) {
+        throw new Error('Gig is offered to another worker');
+      }
+      // Gigs created before bidding existed have no mode and stay first-come
+      if (!offered && (gigData.acceptanceMode || 'instant') !== 'instant') {
+        throw new Error('Gig requires a bid');
+      }
 
-      // Prepare gig update
-      const gigUpdate = {
-        acceptedBy: req.userId,
-        status: 'accepted',
-        acceptedAt: admin.firestore.FieldValue.serverTimestamp()
-      };
-      transaction.update(gigRef, gigUpdate);
-
-      // Create assignment mapping in subcollection (no history array)
-      const assignmentRef = gigRef.collection('assignments').doc(req.userId); // Doc ID as userId
-      const assignmentData = {
-        gigId: id,
-        userId: req.userId,
-        currentStatus: 'accepted',
-        createdAt: admin.firestore.FieldValue.serverTimestamp(),
-        updatedAt: admin.firestore.FieldValue.serverTimestamp()
-      };
-      transaction.set(assignmentRef, assignmentData);
-
-      // Add initial status history as a subcollection document
-      const historyRef = assignmentRef.collection('history').doc(); // Auto-generated ID
-      const historyData = {
-        status: 'accepted',
-        timestamp: admin.firestore.FieldValue.serverTimestamp(),
-        changedBy: req.userId
-      };
-      transaction.set(historyRef, historyData);
+      assignWorker(transaction, gigRef, req.userId, req.userId);
     });
-
-    res.json({ success: true, message: 'Gig accepted' });
   } catch (error) {
     logger.error('Error accepting gig:', error);  // Full error
     console.error('Full error details:', JSON.stringify(error, null, 2));
@@ -199,25 +678,293 @@ router.post('/gigs/:id/accept', verifyToken, async (req, res) => {
       return res.status(403).json({ error: error.message });
     } else if (error.message === 'Gig is not open for acceptance') {
       return res.status(400).json({ error: error.message });
+    } else if (error.message === 'Gig requires a bid') {
+      return res.status(409).json({ error: 'This gig takes bids. Submit a bid instead.' });
+    } else if (error.message === 'Gig is offered to another worker') {
+      return res.status(409).json({ error: error.message });
     }
-    res.status(500).json({ error: 'Failed to accept gig. Please try again.' });
+    return res.status(500).json({ error: 'Failed to accept gig. Please try again.' });
+  }
+
+  try {
+    const payment = await holdEscrowOrRevert(id, req.userId);
+    await announceStatus(id, 'accepted', req.userId);
+    res.json({ success: true, message: 'Gig accepted', payment });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to collect payment for gig. Please try again.'
+    });
   }
 });
 
 /**
- * @route PATCH /gigs/:id/status
- * @desc Update gig status (auth required, only owner can update)
+ * @route POST /gigs/:id/offer/decline
+ * @desc Pass on a standing-work offer; the occurrence opens up to everyone
+ * @access Private (offered worker only)
+ */
+router.post('/gigs/:id/offer/decline', verifyToken, async (req, res) => {
+  const { id } = req.params;
+  try {
+    await declineOffer(id, req.userId);
+    logger.info('Gig offer declined:', { gigId: id, workerId: req.userId });
+    res.json({ success: true, message: 'Offer declined' });
+  } catch (error) {
+    sendSeriesError(res, error, 'Failed to decline offer', { gigId: id });
+  }
+});
+
+// Charge the poster into escrow; if that fails the gig goes back on the market
+async function holdEscrowOrRevert(gigId, workerId, onRevert) {
+  try {
+    const gigDoc = await db.collection('gigs').doc(gigId).get();
+    return await holdEscrow(gigId, { id: gigId, ...gigDoc.data() });
+  } catch (error) {
+    logger.error('Error holding escrow:', { error: error.message, gigId });
+    try {
+      await revertAssignment(gigId, workerId);
+      if (onRevert) await onRevert();
+    } catch (revertError) {
+      logger.error('Error reverting gig acceptance:', { error: revertError.message, gigId });
+    }
+    throw error;
+  }
+}
+
+/**
+ * @route POST /gigs/:id/bids
+ * @desc Submit or revise a bid on an open gig (auth required, not the poster)
+ * @access Private (verified phone)
+ */
+router.post('/gigs/:id/bids', verifyToken, requireVerifiedPhone, validate(bidSchema), async (req, res) => {
+  const { id } = req.params;
+  const { price, message, eta } = req.body;
+
+  try {
+    const bid = await db.runTransaction(async (transaction) => {
+      const gigRef = db.collection('gigs').doc(id);
+      const bidRef = gigRef.collection('bids').doc(req.userId); // One bid per worker
+      const [gigDoc, bidDoc] = await Promise.all([transaction.get(gigRef), transaction.get(bidRef)]);
+      if (!gigDoc.exists) {
+        throw new Error('Gig not found');
+      }
+
+      const gigData = gigDoc.data();
+      if (gigData.userId === req.userId) {
+        throw new Error('Cannot bid on your own gig');
+      }
+      if (gigData.status !== 'open' || gigData.acceptanceMode !== 'bids') {
+        throw new Error('Gig is not open for bids');
+      }
+      // Offered occurrences are accepted directly by the standing worker or not at all
+      if (hasActiveOffer(gigData)) {
+        throw new Error('Gig is offered to a standing worker');
+      }
+      if (bidDoc.exists && bidDoc.data().status !== 'pending' && bidDoc.data().status !== 'withdrawn') {
+        throw new Error('Bid can no longer be changed');
+      }
+
+      const bidData = {
+        workerId: req.userId,
+        price,
+        message,
+        eta: new Date(eta),
+        status: 'pending',
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      };
+      if (!bidDoc.exists || bidDoc.data().status === 'withdrawn') {
+        transaction.update(gigRef, { bidCount: admin.firestore.FieldValue.increment(1) });
+      }
+      if (!bidDoc.exists) {
+        bidData.createdAt = admin.firestore.FieldValue.serverTimestamp();
+      }
+      transaction.set(bidRef, bidData, { merge: true });
+      return { id: bidRef.id, ...bidData };
+    });
+
+    logger.info('Bid submitted:', { gigId: id, workerId: req.userId });
+    res.status(201).json(bid);
+  } catch (error) {
+    logger.error('Error submitting bid:', { error: error.message, gigId: id, userId: req.userId });
+    if (error.message === 'Gig not found') {
+      return res.status(404).json({ error: error.message });
+    } else if (error.message === 'Cannot bid on your own gig') {
+      return res.status(403).json({ error: error.message });
+    } else if (['Gig is not open for bids', 'Gig is offered to a standing worker', 'Bid can no longer be changed'].includes(error.message)) {
+      return res.status(409).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to submit bid. Please try again.' });
+  }
+});
+
+/**
+ * @route GET /gigs/:id/bids
+ * @desc List bids on a gig; the poster sees all of them, anyone else only their own
  * @access Private
  */
-router.patch('/gigs/:id/status', verifyToken, async (req, res) => {
+router.get('/gigs/:id/bids', verifyToken, async (req, res) => {
   const { id } = req.params;
-  const { status } = req.body;
-  const validStatuses = ['open', 'accepted', 'completed', 'cancelled'];
+  const { status, sort = 'price' } = req.query;
+  const sortFields = { price: 'price', eta: 'eta', createdAt: 'createdAt' };
 
-  if (!validStatuses.includes(status)) {
-    return res.status(400).json({ error: 'Invalid status' });
+  if (!sortFields[sort]) {
+    return res.status(400).json({ error: 'Invalid sort. Use price, eta or createdAt' });
   }
 
+  try {
+    const gigRef = db.collection('gigs').doc(id);
+    const gigDoc = await gigRef.get();
+    if (!gigDoc.exists) {
+      return res.status(404).json({ error: 'Gig not found' });
+    }
+
+    if (gigDoc.data().userId !== req.userId) {
+      const bidDoc = await gigRef.collection('bids').doc(req.userId).get();
+      return res.json(bidDoc.exists ? [{ id: bidDoc.id, ...bidDoc.data() }] : []);
+    }
+
+    let query = gigRef.collection('bids');
+    if (status) {
+      query = query.where('status', '==', status);
+    }
+    const snapshot = await query.orderBy(sortFields[sort], 'asc').get();
+    res.json(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+  } catch (error) {
+    logger.error('Error fetching bids:', { error: error.message, gigId: id });
+    res.status(500).json({ error: 'Failed to fetch bids. Please try again.' });
+  }
+});
+
+/**
+ * @route POST /gigs/:id/bids/:bidId/award
+ * @desc Award a pending bid: assigns the worker, closes every other bid, charges escrow (poster only)
+ * @access Private
+ */
+router.post('/gigs/:id/bids/:bidId/award', verifyToken, async (req, res) => {
+  const { id, bidId } = req.params;
+  const gigRef = db.collection('gigs').doc(id);
+
+  let workerId;
+  try {
+    workerId = await db.runTransaction(async (transaction) => {
+      const bidRef = gigRef.collection('bids').doc(bidId);
+      const [gigDoc, bidDoc, pendingBids] = await Promise.all([
+        transaction.get(gigRef),
+        transaction.get(bidRef),
+        transaction.get(gigRef.collection('bids').where('status', '==', 'pending'))
+      ]);
+      if (!gigDoc.exists) {
+        throw new Error('Gig not found');
+      }
+
+      const gigData = gigDoc.data();
+      if (gigData.userId !== req.userId) {
+        throw new Error('Not allowed to award bids on this gig');
+      }
+      if (gigData.status !== 'open') {
+        throw new Error('Gig is not open for acceptance');
+      }
+      if (!bidDoc.exists || bidDoc.data().status !== 'pending') {
+        throw new Error('Bid not available');
+      }
+
+      const bidData = bidDoc.data();
+      assignWorker(transaction, gigRef, bidData.workerId, req.userId, {
+        agreedPrice: bidData.price,
+        awardedBidId: bidId
+      });
+      transaction.update(bidRef, { status: 'awarded', updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+      pendingBids.docs
+        .filter(doc => doc.id !== bidId)
+        .forEach(doc => transaction.update(doc.ref, {
+          status: 'closed',
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        }));
+      return bidData.workerId;
+    });
+  } catch (error) {
+    logger.error('Error awarding bid:', { error: error.message, gigId: id, bidId });
+    if (error.message === 'Gig not found' || error.message === 'Bid not available') {
+      return res.status(404).json({ error: error.message });
+    } else if (error.message === 'Not allowed to award bids on this gig') {
+      return res.status(403).json({ error: error.message });
+    } else if (error.message === 'Gig is not open for acceptance') {
+      return res.status(409).json({ error: error.message });
+    }
+    return res.status(500).json({ error: 'Failed to award bid. Please try again.' });
+  }
+
+  try {
+    // A failed charge reopens the gig, so the bids closed above go back to pending too
+    const payment = await holdEscrowOrRevert(id, workerId, () => reopenBids(gigRef));
+    await announceStatus(id, 'accepted', req.userId);
+    logger.info('Bid awarded:', { gigId: id, bidId });
+    res.json({ success: true, message: 'Bid awarded', payment });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to collect payment for gig. Please try again.'
+    });
+  }
+});
+
+async function reopenBids(gigRef) {
+  const snapshot = await gigRef.collection('bids').where('status', 'in', ['awarded', 'closed']).get();
+  const batch = db.batch();
+  snapshot.docs.forEach(doc => batch.update(doc.ref, {
+    status: 'pending',
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  }));
+  await batch.commit();
+}
+
+/**
+ * @route DELETE /gigs/:id/bids/:bidId
+ * @desc Withdraw your own bid before it is awarded
+ * @access Private
+ */
+router.delete('/gigs/:id/bids/:bidId', verifyToken, async (req, res) => {
+  const { id, bidId } = req.params;
+  // Bid docs are keyed by the bidding worker's id
+  if (bidId !== req.userId) {
+    return res.status(403).json({ error: 'Not allowed to withdraw this bid' });
+  }
+
+  try {
+    await db.runTransaction(async (transaction) => {
+      const gigRef = db.collection('gigs').doc(id);
+      const bidRef = gigRef.collection('bids').doc(bidId);
+      const bidDoc = await transaction.get(bidRef);
+      if (!bidDoc.exists) {
+        throw new Error('Bid not found');
+      }
+      if (bidDoc.data().status !== 'pending') {
+        throw new Error('Only pending bids can be withdrawn');
+      }
+      transaction.update(bidRef, { status: 'withdrawn', updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+      transaction.update(gigRef, { bidCount: admin.firestore.FieldValue.increment(-1) });
+    });
+
+    logger.info('Bid withdrawn:', { gigId: id, workerId: req.userId });
+    res.json({ success: true, message: 'Bid withdrawn' });
+  } catch (error) {
+    logger.error('Error withdrawing bid:', { error: error.message, gigId: id, userId: req.userId });
+    if (error.message === 'Bid not found') {
+      return res.status(404).json({ error: error.message });
+    } else if (error.message === 'Only pending bids can be withdrawn') {
+      return res.status(409).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to withdraw bid. Please try again.' });
+  }
+});
+
+/**
+ * @route PATCH /gigs/:id/status
+ * @desc Move a gig through its lifecycle (auth required, poster or assigned worker per transition)
+ * @access Private
+ */
+router.patch('/gigs/:id/status', verifyToken, validate(statusSchema), async (req, res) => {
+  const { id } = req.params;
+  const { status, note } = req.body;
+
   try {
     const gigRef = db.collection('gigs').doc(id);
     const gigDoc = await gigRef.get();
@@ -226,16 +973,145 @@ router.patch('/gigs/:id/status', verifyToken, async (req, res) => {
     }
 
     const gigData = gigDoc.data();
-    if (gigData.userId !== req.userId) {
+    const role = roleFor(gigData, req.userId);
+    if (!role) {
       return res.status(403).json({ error: 'Not allowed to update this gig' });
     }
+    assertTransition(gigData.status, status, role);
 
-    await gigRef.update({ status });
-    res.json({ success: true, message: `Gig status updated to ${status}` });
+    // Escrow moves with the status change: released in the same transaction, or claimed
+    // for a refund that puts the gig back if Stripe refuses it
+    let payment = null;
+    const transition = { from: gigData.status, actorId: req.userId, role, note };
+    if (status === 'cancelled') {
+      payment = await cancelWithRefund(id, transition);
+    } else {
+      await transitionGig(id, {
+        ...transition,
+        to: status,
+        within: (transaction, gigRef, current) => {
+          if (status === 'completed') payment = releaseEscrow(transaction, gigRef, current, req.userId);
+        }
+      });
+    }
+    await announceStatus(id, status, req.userId);
+    logger.info('Gig status updated:', { gigId: id, from: gigData.status, to: status, userId: req.userId });
+    res.json({
+      success: true,
+      message: `Gig status updated to ${status}`,
+      payment,
+      allowedTransitions: allowedTransitions(status, role)
+    });
   } catch (error) {
     logger.error('Error updating gig status:', { error: error.message, gigId: id, userId: req.userId });
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     res.status(500).json({ error: 'Failed to update gig status. Please try again.' });
   }
 });
 
+/**
+ * @route GET /gigs/:id/history
+ * @desc Get the status timeline of a gig (auth required, poster or assigned worker only)
+ * @access Private
+ */
+router.get('/gigs/:id/history', verifyToken, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const gigRef = db.collection('gigs').doc(id);
+    const gigDoc = await gigRef.get();
+    if (!gigDoc.exists) {
+      return res.status(404).json({ error: 'Gig not found' });
+    }
+
+    const gigData = gigDoc.data();
+    const role = roleFor(gigData, req.userId);
+    if (!role) {
+      return res.status(403).json({ error: 'Not allowed to view this gig history' });
+    }
+
+    const history = await getGigHistory(gigRef, gigData);
+    res.json({ status: gigData.status, allowedTransitions: allowedTransitions(gigData.status, role), history });
+  } catch (error) {
+    logger.error('Error fetching gig history:', { error: error.message, gigId: id });
+    res.status(500).json({ error: 'Failed to fetch gig history. Please try again.' });
+  }
+});
+
+/**
+ * @route POST /gigs/:id/reviews
+ * @desc Rate and review the other party of a completed gig (poster or assigned worker, once each)
+ * @access Private
+ */
+router.post('/gigs/:id/reviews', verifyToken, validate(reviewSchema), async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const review = await submitReview(id, req.userId, req.body);
+    logger.info('Review submitted:', { gigId: id, reviewerId: req.userId, revieweeId: review.revieweeId });
+    res.status(201).json(review);
+  } catch (error) {
+    logger.error('Error submitting review:', { error: error.message, gigId: id, userId: req.userId });
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to submit review. Please try again.' });
+  }
+});
+
+/**
+ * @route GET /gigs/:id/home
+ * @desc Get the home address and shared home records of a household gig; the assigned worker
+ *       can read them while the gig is accepted or in progress
+ * @access Private (poster or assigned worker only)
+ */
+router.get('/gigs/:id/home', verifyToken, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const gigDoc = await db.collection('gigs').doc(id).get();
+    if (!gigDoc.exists) {
+      return res.status(404).json({ error: 'Gig not found' });
+    }
+    res.json(await getSharedHomeRecords(id, gigDoc.data(), req.userId));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Error fetching gig home access:', { error: error.message, gigId: id });
+    res.status(500).json({ error: 'Failed to fetch home details. Please try again.' });
+  }
+});
+
+/**
+ * @route GET /gigs/:id/payments
+ * @desc Get the payment ledger of a gig (auth required, poster or assigned worker only)
+ * @access Private
+ */
+router.get('/gigs/:id/payments', verifyToken, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const gigRef = db.collection('gigs').doc(id);
+    const gigDoc = await gigRef.get();
+    if (!gigDoc.exists) {
+      return res.status(404).json({ error: 'Gig not found' });
+    }
+
+    const gigData = gigDoc.data();
+    if (gigData.userId !== req.userId && gigData.acceptedBy !== req.userId) {
+      return res.status(403).json({ error: 'Not allowed to view payments for this gig' });
+    }
+
+    const snapshot = await gigRef.collection('payments').orderBy('createdAt').get();
+    const entries = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    res.json({ payment: gigData.payment || null, entries });
+  } catch (error) {
+    logger.error('Error fetching gig payments:', { error: error.message, gigId: id });
+    res.status(500).json({ error: 'Failed to fetch gig payments. Please try again.' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -4,8 +4,51 @@ const verifyToken = require('../middleware/auth');
 const { db } = require('../config/firebase');
 const admin = require('firebase-admin');
 const Joi = require('joi');
+const rateLimit = require('express-rate-limit');
 const validate = require('../middleware/validate');
 const logger = require('../logger');
+const {
+  invitesRef,
+  isExpired,
+  resolveInvitee,
+  createInvite,
+  respondToInvite,
+  removeOccupant,
+  setMemberRole,
+  transferOwnership,
+  deleteHome
+} = require('../services/homes');
+const { HOME_ROLES, homeRole, can, canAccessData, dataRule, outranks } = require('../services/homeAccess');
+const {
+  SCOPES,
+  RECORD_TYPES,
+  recordsRef,
+  createRecord,
+  getRecord,
+  updateRecord,
+  deleteRecord,
+  listVersions
+} = require('../services/homeRecords');
+const { openFields, maskFields, logSecretAccess } = require('../services/homeCrypto');
+const {
+  sharesRef,
+  createShare,
+  listShares,
+  revokeShare,
+  resolveShare,
+  recordShareAccess,
+  sharedHomeView
+} = require('../services/homeShares');
+const { serviceHistoryRef } = require('../services/homeGigs');
+const { STATUSES } = require('../services/gigLifecycle');
+const { encodeCursor, decodeCursor } = require('../services/search');
+
+// Share links are unauthenticated, so guessing and scraping are capped per client
+const shareLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 60,
+  message: 'Too many share link requests. Please try again later.'
+});
 
 // Schema for creating a home
 const createHomeSchema = Joi.object({
@@ -16,28 +59,110 @@ const createHomeSchema = Joi.object({
   location: Joi.object({
     latitude: Joi.number().min(-90).max(90).optional(),
     longitude: Joi.number().min(-180).max(180).optional()
-  }).optional(),
-  ownerId: Joi.string().optional() // Defaults to creator
+  }).optional()
 });
 
-// Schema for attaching/detaching user
+// Schema for updating a home; membership only changes through invites, leave and detach
+const updateHomeSchema = Joi.object({
+  address: Joi.string(),
+  city: Joi.string(),
+  state: Joi.string(),
+  zipcode: Joi.string(),
+  location: Joi.object({
+    latitude: Joi.number().min(-90).max(90).required(),
+    longitude: Joi.number().min(-180).max(180).required()
+  })
+}).min(1);
+
+// Schema for detaching user
 const attachDetachSchema = Joi.object({
   userId: Joi.string().required()
 });
 
-// Schema for adding data to private or public subcollections
+// Invitee is addressed by exactly one of username, email or phone; guests need an end time
+const inviteSchema = Joi.object({
+  username: Joi.string(),
+  email: Joi.string().email(),
+  phoneNumber: Joi.string().pattern(/^\+[1-9]\d{1,14}$/),
+  role: Joi.string().valid('manager', 'resident', 'guest').default('resident'),
+  accessUntil: Joi.date().iso().greater('now').when('role', { is: 'guest', then: Joi.required(), otherwise: Joi.forbidden() })
+}).xor('username', 'email', 'phoneNumber');
+
+const memberRoleSchema = Joi.object({
+  role: Joi.string().valid('manager', 'resident', 'guest').required(),
+  accessUntil: Joi.date().iso().greater('now').when('role', { is: 'guest', then: Joi.required(), otherwise: Joi.forbidden() })
+});
+
+const transferSchema = Joi.object({
+  userId: Joi.string().required()
+});
+
+const roleList = Joi.array().items(Joi.string().valid(...HOME_ROLES)).unique().required();
+const dataPolicySchema = Joi.object({
+  read: roleList,
+  write: roleList
+});
+
+const currentHomeSchema = Joi.object({
+  homeId: Joi.string().allow(null).required()
+});
+
+// Home errors carry their status; anything else is a 500
+const sendHomeError = (res, error, message) => {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  logger.error(`${message}:`, error);
+  res.status(500).json({ error: message });
+};
+
+// Schema for adding data to private or public subcollections; `data` is checked against the type's schema
 const dataSchema = Joi.object({
-  type: Joi.string().required(), // e.g., 'maintenance', 'wifi'
+  type: Joi.string().valid(...RECORD_TYPES).required(), // e.g., 'maintenance', 'wifi'
   data: Joi.object().required()
 });
 
+const recordUpdateSchema = Joi.object({
+  data: Joi.object().min(1).required(), // Merged into the current data
+  expectedVersion: Joi.number().integer().min(1).optional()
+});
+
+const recordListSchema = Joi.object({
+  type: Joi.string().optional(),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  cursor: Joi.string().max(1000).optional()
+});
+
+const shareSchema = Joi.object({
+  label: Joi.string().max(100).optional(), // e.g. "Plumber, March visit"
+  expiresAt: Joi.date().iso().greater('now').optional() // Omit for a link that lasts until revoked
+});
+
+const sharedViewQuerySchema = Joi.object({
+  type: Joi.string().optional(),
+  limit: Joi.number().integer().min(1).max(50).default(20),
+  cursor: Joi.string().max(1000).optional()
+});
+
+const serviceHistoryQuerySchema = Joi.object({
+  status: Joi.string().valid(...STATUSES).optional(),
+  limit: Joi.number().integer().min(1).max(50).default(20),
+  cursor: Joi.string().max(1000).optional()
+});
+
+const accessLogQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(100).default(50),
+  cursor: Joi.string().max(1000).optional()
+});
+
 // POST /api/homes - Create a new home (protected)
 router.post('/', verifyToken, validate(createHomeSchema), async (req, res) => {
   try {
     let homeData = {
       ...req.body,
-      ownerId: req.body.ownerId || req.userId,
+      ownerId: req.userId,
       occupants: [],
+      memberRoles: {},  // occupantId -> 'manager' | 'resident' | 'guest'
       createdAt: admin.firestore.FieldValue.serverTimestamp()
     };
 
@@ -55,6 +180,100 @@ router.post('/', verifyToken, validate(createHomeSchema), async (req, res) => {
   }
 });
 
+// GET /api/homes - Homes the user owns or lives in, with their current home choice
+router.get('/', verifyToken, async (req, res) => {
+  try {
+    const [owned, occupied, userDoc] = await Promise.all([
+      db.collection('homes').where('ownerId', '==', req.userId).get(),
+      db.collection('homes').where('occupants', 'array-contains', req.userId).get(),
+      db.collection('users').doc(req.userId).get()
+    ]);
+    const homes = new Map();
+    [...owned.docs, ...occupied.docs].forEach(doc => {
+      const role = homeRole(doc.data(), req.userId);
+      if (role) homes.set(doc.id, { id: doc.id, ...doc.data(), role });  // Expired guest access drops out
+    });
+    res.json({ homes: [...homes.values()], currentHomeId: userDoc.data()?.currentHomeId || null });
+  } catch (error) {
+    logger.error('Error listing homes:', error);
+    res.status(500).json({ error: 'Failed to list homes' });
+  }
+});
+
+// PUT /api/homes/current - Choose the current home (any home the user belongs to, or null)
+router.put('/current', verifyToken, validate(currentHomeSchema), async (req, res) => {
+  const { homeId } = req.body;
+  try {
+    if (homeId) {
+      const homeDoc = await db.collection('homes').doc(homeId).get();
+      if (!homeDoc.exists || !homeRole(homeDoc.data(), req.userId)) {
+        return res.status(403).json({ error: 'You are not a member of this home' });
+      }
+    }
+    await db.collection('users').doc(req.userId).update({ currentHomeId: homeId });
+    res.json({ success: true, currentHomeId: homeId });
+  } catch (error) {
+    logger.error('Error setting current home:', error);
+    res.status(500).json({ error: 'Failed to set current home' });
+  }
+});
+
+// GET /api/homes/invites - Pending, unexpired invites addressed to the user
+router.get('/invites', verifyToken, async (req, res) => {
+  try {
+    const snapshot = await invitesRef()
+      .where('inviteeId', '==', req.userId)
+      .where('status', '==', 'pending')
+      .get();
+    const invites = snapshot.docs
+      .filter(doc => !isExpired(doc.data()))
+      .map(doc => ({ id: doc.id, ...doc.data() }));
+    res.json(invites);
+  } catch (error) {
+    logger.error('Error fetching invites:', error);
+    res.status(500).json({ error: 'Failed to fetch invites' });
+  }
+});
+
+// POST /api/homes/invites/:inviteId/accept - Join the home
+router.post('/invites/:inviteId/accept', verifyToken, async (req, res) => {
+  try {
+    const result = await respondToInvite(req.params.inviteId, req.userId, true);
+    logger.info('Home invite accepted:', { inviteId: req.params.inviteId, userId: req.userId });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendHomeError(res, error, 'Failed to accept invite');
+  }
+});
+
+// POST /api/homes/invites/:inviteId/decline - Turn the invite down
+router.post('/invites/:inviteId/decline', verifyToken, async (req, res) => {
+  try {
+    const result = await respondToInvite(req.params.inviteId, req.userId, false);
+    logger.info('Home invite declined:', { inviteId: req.params.inviteId, userId: req.userId });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendHomeError(res, error, 'Failed to decline invite');
+  }
+});
+
+// GET /api/homes/shared/:token - Public view of a home through a share link: coarse address and publicData (no auth)
+router.get('/shared/:token', shareLimiter, async (req, res) => {
+  const { error, value } = sharedViewQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+  try {
+    const { share, home } = await resolveShare(req.params.token);
+    const view = await sharedHomeView(home, share.id, value);
+    await recordShareAccess(share.id, { ip: req.ip, userAgent: req.get('user-agent') });
+    logger.info('Shared home viewed:', { homeId: home.id, shareId: share.id, ip: req.ip });
+    res.json(view);
+  } catch (error) {
+    sendHomeError(res, error, 'Failed to fetch shared home');
+  }
+});
+
 // GET /api/homes/:id - Get home details (protected)
 router.get('/:id', verifyToken, async (req, res) => {
   try {
@@ -63,29 +282,34 @@ router.get('/:id', verifyToken, async (req, res) => {
       return res.status(404).json({ error: 'Home not found' });
     }
     const homeData = homeDoc.data();
-    // Check if user is owner or occupant
-    if (homeData.ownerId !== req.userId && !homeData.occupants.includes(req.userId)) {
+    // Any current member; guests only until their access ends
+    const role = homeRole(homeData, req.userId);
+    if (!role) {
       return res.status(403).json({ error: 'Unauthorized to view this home' });
     }
-    res.json({ id: homeDoc.id, ...homeData });
+    res.json({ id: homeDoc.id, ...homeData, role });
   } catch (error) {
     logger.error('Error fetching home:', error);
     res.status(500).json({ error: 'Failed to fetch home' });
   }
 });
 
-// PATCH /api/homes/:id - Update home (protected, owner only)
-router.patch('/:id', verifyToken, async (req, res) => {
+// PATCH /api/homes/:id - Update home (protected, owner or manager)
+router.patch('/:id', verifyToken, validate(updateHomeSchema), async (req, res) => {
   try {
     const homeRef = db.collection('homes').doc(req.params.id);
     const homeDoc = await homeRef.get();
     if (!homeDoc.exists) {
       return res.status(404).json({ error: 'Home not found' });
     }
-    if (homeDoc.data().ownerId !== req.userId) {
+    if (!can(homeDoc.data(), req.userId, 'home:edit')) {
       return res.status(403).json({ error: 'Unauthorized to update this home' });
     }
-    await homeRef.update(req.body);
+    const update = { ...req.body };
+    if (req.body.location) {
+      update.location = new admin.firestore.GeoPoint(req.body.location.latitude, req.body.location.longitude);
+    }
+    await homeRef.update(update);
     logger.info('Home updated:', { id: req.params.id });
     res.json({ success: true, message: 'Home updated' });
   } catch (error) {
@@ -102,10 +326,10 @@ router.delete('/:id', verifyToken, async (req, res) => {
     if (!homeDoc.exists) {
       return res.status(404).json({ error: 'Home not found' });
     }
-    if (homeDoc.data().ownerId !== req.userId) {
+    if (!can(homeDoc.data(), req.userId, 'home:delete')) {
       return res.status(403).json({ error: 'Unauthorized to delete this home' });
     }
-    await homeRef.delete();
+    await deleteHome(req.params.id, req.userId);
     logger.info('Home deleted:', { id: req.params.id });
     res.json({ success: true, message: 'Home deleted' });
   } catch (error) {
@@ -114,37 +338,103 @@ router.delete('/:id', verifyToken, async (req, res) => {
   }
 });
 
-// POST /api/homes/:id/attach - Attach user to home (protected, owner only)
-router.post('/:id/attach', verifyToken, validate(attachDetachSchema), async (req, res) => {
+// POST /api/homes/:id/invites - Invite a user by username, email or phone (protected, owner or manager;
+// managers can only invite residents and guests)
+router.post('/:id/invites', verifyToken, validate(inviteSchema), async (req, res) => {
   try {
     const { id: homeId } = req.params;
-    const { userId } = req.body;
-    const homeRef = db.collection('homes').doc(homeId);
-    const homeDoc = await homeRef.get();
+    const homeDoc = await db.collection('homes').doc(homeId).get();
     if (!homeDoc.exists) {
       return res.status(404).json({ error: 'Home not found' });
     }
-    if (homeDoc.data().ownerId !== req.userId) {
-      return res.status(403).json({ error: 'Unauthorized: Only owner can attach users' });
+    const { role, accessUntil } = req.body;
+    const homeData = homeDoc.data();
+    if (!can(homeData, req.userId, 'members:invite') || !outranks(homeRole(homeData, req.userId), role)) {
+      return res.status(403).json({ error: `Unauthorized to invite users as ${role}` });
+    }
+    const inviteeId = await resolveInvitee(req.body);
+    if (!inviteeId) {
+      return res.status(404).json({ error: 'No user matches that username, email or phone' });
     }
-    const occupants = homeDoc.data().occupants || [];
-    if (occupants.includes(userId)) {
-      return res.status(400).json({ error: 'User already attached' });
+    const invite = await createInvite(homeId, homeData, inviteeId, req.userId, { role, accessUntil });
+    logger.info('Home invite created:', { homeId, inviteeId, role });
+    res.status(201).json(invite);
+  } catch (error) {
+    sendHomeError(res, error, 'Failed to invite user');
+  }
+});
+
+// GET /api/homes/:id/invites - Invites sent for this home (protected, owner or manager)
+router.get('/:id/invites', verifyToken, async (req, res) => {
+  try {
+    const { id: homeId } = req.params;
+    const homeDoc = await db.collection('homes').doc(homeId).get();
+    if (!homeDoc.exists) {
+      return res.status(404).json({ error: 'Home not found' });
     }
-    await homeRef.update({
-      occupants: admin.firestore.FieldValue.arrayUnion(userId)
+    if (!can(homeDoc.data(), req.userId, 'members:invite')) {
+      return res.status(403).json({ error: 'Unauthorized to view invites' });
+    }
+    const snapshot = await invitesRef().where('homeId', '==', homeId).get();
+    const invites = snapshot.docs.map(doc => {
+      const invite = doc.data();
+      // Expiry is only written when someone acts on an invite, so report it here too
+      const status = invite.status === 'pending' && isExpired(invite) ? 'expired' : invite.status;
+      return { id: doc.id, ...invite, status };
     });
-    // Update user's current home
-    await db.collection('users').doc(userId).update({ currentHomeId: homeId });
-    logger.info('User attached to home:', { userId, homeId });
-    res.json({ success: true, message: 'User attached' });
+    res.json(invites);
   } catch (error) {
-    logger.error('Error attaching user:', error);
-    res.status(500).json({ error: 'Failed to attach user' });
+    logger.error('Error fetching home invites:', error);
+    res.status(500).json({ error: 'Failed to fetch invites' });
   }
 });
 
-// POST /api/homes/:id/detach - Detach user from home (protected, owner only)
+// DELETE /api/homes/:id/invites/:inviteId - Revoke a pending invite (protected, owner or manager)
+router.delete('/:id/invites/:inviteId', verifyToken, async (req, res) => {
+  try {
+    const { id: homeId, inviteId } = req.params;
+    const [homeDoc, inviteDoc] = await Promise.all([
+      db.collection('homes').doc(homeId).get(),
+      invitesRef().doc(inviteId).get()
+    ]);
+    if (!homeDoc.exists || !inviteDoc.exists || inviteDoc.data().homeId !== homeId) {
+      return res.status(404).json({ error: 'Invite not found' });
+    }
+    if (!can(homeDoc.data(), req.userId, 'members:invite')) {
+      return res.status(403).json({ error: 'Unauthorized to revoke invites' });
+    }
+    if (inviteDoc.data().status !== 'pending') {
+      return res.status(409).json({ error: `Invite was already ${inviteDoc.data().status}` });
+    }
+    await inviteDoc.ref.update({ status: 'revoked', respondedAt: admin.firestore.FieldValue.serverTimestamp() });
+    logger.info('Home invite revoked:', { homeId, inviteId });
+    res.json({ success: true, message: 'Invite revoked' });
+  } catch (error) {
+    logger.error('Error revoking invite:', error);
+    res.status(500).json({ error: 'Failed to revoke invite' });
+  }
+});
+
+// POST /api/homes/:id/leave - Leave a home (protected, occupants only; the owner must delete or hand over instead)
+router.post('/:id/leave', verifyToken, async (req, res) => {
+  try {
+    const { id: homeId } = req.params;
+    const homeDoc = await db.collection('homes').doc(homeId).get();
+    if (!homeDoc.exists) {
+      return res.status(404).json({ error: 'Home not found' });
+    }
+    if (homeDoc.data().ownerId === req.userId) {
+      return res.status(400).json({ error: 'The owner cannot leave their own home' });
+    }
+    await removeOccupant(homeId, req.userId);
+    logger.info('User left home:', { userId: req.userId, homeId });
+    res.json({ success: true, message: 'You left the home' });
+  } catch (error) {
+    sendHomeError(res, error, 'Failed to leave home');
+  }
+});
+
+// POST /api/homes/:id/detach - Detach user from home (protected, owner or manager; only lower-ranked members)
 router.post('/:id/detach', verifyToken, validate(attachDetachSchema), async (req, res) => {
   try {
     const { id: homeId } = req.params;
@@ -154,121 +444,419 @@ router.post('/:id/detach', verifyToken, validate(attachDetachSchema), async (req
     if (!homeDoc.exists) {
       return res.status(404).json({ error: 'Home not found' });
     }
-    if (homeDoc.data().ownerId !== req.userId) {
-      return res.status(403).json({ error: 'Unauthorized: Only owner can detach users' });
-    }
-    const occupants = homeDoc.data().occupants || [];
-    if (!occupants.includes(userId)) {
-      return res.status(400).json({ error: 'User not attached' });
+    const homeData = homeDoc.data();
+    const targetRole = homeData.memberRoles?.[userId] || 'resident';
+    if (!can(homeData, req.userId, 'members:remove') || !outranks(homeRole(homeData, req.userId), targetRole)) {
+      return res.status(403).json({ error: 'Unauthorized to detach this user' });
     }
-    await homeRef.update({
-      occupants: admin.firestore.FieldValue.arrayRemove(userId)
-    });
-    // Update user's current home
-    await db.collection('users').doc(userId).update({ currentHomeId: null });
+    await removeOccupant(homeId, userId);
     logger.info('User detached from home:', { userId, homeId });
     res.json({ success: true, message: 'User detached' });
   } catch (error) {
-    logger.error('Error detaching user:', error);
-    res.status(500).json({ error: 'Failed to detach user' });
+    sendHomeError(res, error, 'Failed to detach user');
   }
 });
 
-// POST /api/homes/:id/privateData - Add private data (protected, occupants/owner only)
-router.post('/:id/privateData', verifyToken, validate(dataSchema), async (req, res) => {
+// GET /api/homes/:id/members - Owner and occupants with their roles (protected, members)
+router.get('/:id/members', verifyToken, async (req, res) => {
   try {
-    const { id: homeId } = req.params;
-    const { type, data } = req.body;
-    const homeDoc = await db.collection('homes').doc(homeId).get();
+    const homeDoc = await db.collection('homes').doc(req.params.id).get();
     if (!homeDoc.exists) {
       return res.status(404).json({ error: 'Home not found' });
     }
     const homeData = homeDoc.data();
-    if (homeData.ownerId !== req.userId && !homeData.occupants.includes(req.userId)) {
-      return res.status(403).json({ error: 'Unauthorized to add private data' });
+    if (!homeRole(homeData, req.userId)) {
+      return res.status(403).json({ error: 'Unauthorized to view members' });
     }
-    const privateRef = await db.collection(`homes/${homeId}/privateData`).add({
-      type,
-      data,
-      createdBy: req.userId,
-      createdAt: admin.firestore.FieldValue.serverTimestamp()
-    });
-    logger.info('Private data added:', { homeId, type });
-    res.status(201).json({ id: privateRef.id, type, data });
+    const members = [
+      { userId: homeData.ownerId, role: 'owner', accessUntil: null },
+      ...(homeData.occupants || []).map(userId => ({
+        userId,
+        role: homeData.memberRoles?.[userId] || 'resident',
+        accessUntil: homeData.accessUntil?.[userId] || null
+      }))
+    ];
+    res.json(members);
   } catch (error) {
-    logger.error('Error adding private data:', error);
-    res.status(500).json({ error: 'Failed to add private data' });
+    logger.error('Error fetching members:', error);
+    res.status(500).json({ error: 'Failed to fetch members' });
   }
 });
 
-// GET /api/homes/:id/privateData - Get private data (protected, occupants/owner only)
-router.get('/:id/privateData', verifyToken, async (req, res) => {
+// PATCH /api/homes/:id/members/:userId - Change a member's role or guest access window (protected, owner only)
+router.patch('/:id/members/:userId', verifyToken, validate(memberRoleSchema), async (req, res) => {
   try {
-    const { id: homeId } = req.params;
+    const { id: homeId, userId } = req.params;
     const homeDoc = await db.collection('homes').doc(homeId).get();
     if (!homeDoc.exists) {
       return res.status(404).json({ error: 'Home not found' });
     }
-    const homeData = homeDoc.data();
-    if (homeData.ownerId !== req.userId && !homeData.occupants.includes(req.userId)) {
-      return res.status(403).json({ error: 'Unauthorized to view private data' });
+    if (!can(homeDoc.data(), req.userId, 'members:roles')) {
+      return res.status(403).json({ error: 'Unauthorized to change member roles' });
     }
-    const snapshot = await db.collection(`homes/${homeId}/privateData`).get();
-    const privateData = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-    res.json(privateData);
+    await setMemberRole(homeId, userId, req.body);
+    logger.info('Home member role changed:', { homeId, userId, role: req.body.role });
+    res.json({ success: true, role: req.body.role });
   } catch (error) {
-    logger.error('Error fetching private data:', error);
-    res.status(500).json({ error: 'Failed to fetch private data' });
+    sendHomeError(res, error, 'Failed to change member role');
   }
 });
 
-// POST /api/homes/:id/publicData - Add public data (protected, occupants/owner only)
-router.post('/:id/publicData', verifyToken, validate(dataSchema), async (req, res) => {
+// POST /api/homes/:id/transfer - Hand ownership to another member; the old owner becomes a manager (protected, owner only)
+router.post('/:id/transfer', verifyToken, validate(transferSchema), async (req, res) => {
   try {
-    const { id: homeId } = req.params;
-    const { type, data } = req.body;
-    const homeDoc = await db.collection('homes').doc(homeId).get();
+    await transferOwnership(req.params.id, req.userId, req.body.userId);
+    logger.info('Home ownership transferred:', { homeId: req.params.id, from: req.userId, to: req.body.userId });
+    res.json({ success: true, ownerId: req.body.userId });
+  } catch (error) {
+    sendHomeError(res, error, 'Failed to transfer home');
+  }
+});
+
+// GET /api/homes/:id/data-policy/:type - Roles that may read and write a data type (protected, members)
+router.get('/:id/data-policy/:type', verifyToken, async (req, res) => {
+  try {
+    const homeDoc = await db.collection('homes').doc(req.params.id).get();
     if (!homeDoc.exists) {
       return res.status(404).json({ error: 'Home not found' });
     }
-    const homeData = homeDoc.data();
-    if (homeData.ownerId !== req.userId && !homeData.occupants.includes(req.userId)) {
-      return res.status(403).json({ error: 'Unauthorized to add public data' });
+    if (!homeRole(homeDoc.data(), req.userId)) {
+      return res.status(403).json({ error: 'Unauthorized to view this home' });
     }
-    const publicRef = await db.collection(`homes/${homeId}/publicData`).add({
-      type,
-      data,
-      createdBy: req.userId,
-      createdAt: admin.firestore.FieldValue.serverTimestamp()
-    });
-    logger.info('Public data added:', { homeId, type });
-    res.status(201).json({ id: publicRef.id, type, data });
+    res.json({ type: req.params.type, ...dataRule(homeDoc.data(), req.params.type) });
   } catch (error) {
-    logger.error('Error adding public data:', error);
-    res.status(500).json({ error: 'Failed to add public data' });
+    logger.error('Error fetching data policy:', error);
+    res.status(500).json({ error: 'Failed to fetch data policy' });
   }
 });
 
-// GET /api/homes/:id/publicData - Get public data (protected for now; can make public by removing verifyToken)
-router.get('/:id/publicData', verifyToken, async (req, res) => {
+// PUT /api/homes/:id/data-policy/:type - Override who may read and write a data type (protected, owner only)
+router.put('/:id/data-policy/:type', verifyToken, validate(dataPolicySchema), async (req, res) => {
   try {
-    const { id: homeId } = req.params;
-    const homeDoc = await db.collection('homes').doc(homeId).get();
+    const homeRef = db.collection('homes').doc(req.params.id);
+    const homeDoc = await homeRef.get();
     if (!homeDoc.exists) {
       return res.status(404).json({ error: 'Home not found' });
     }
-    // For truly public, remove the auth check below and verifyToken
-    const homeData = homeDoc.data();
-    if (homeData.ownerId !== req.userId && !homeData.occupants.includes(req.userId)) {
-      return res.status(403).json({ error: 'Unauthorized to view public data' });
+    if (!can(homeDoc.data(), req.userId, 'data:policy')) {
+      return res.status(403).json({ error: 'Unauthorized to change data policy' });
+    }
+    if (!RECORD_TYPES.includes(req.params.type)) {
+      return res.status(400).json({ error: `Unknown record type. Use one of: ${RECORD_TYPES.join(', ')}` });
+    }
+    // The owner always keeps access, so a policy can never lock the home out of its own data
+    const withOwner = (roles) => [...new Set(['owner', ...roles])];
+    const rule = { read: withOwner(req.body.read), write: withOwner(req.body.write) };
+    await homeRef.update({ [`dataPolicy.${req.params.type}`]: rule });
+    logger.info('Home data policy changed:', { homeId: req.params.id, type: req.params.type });
+    res.json({ type: req.params.type, ...rule });
+  } catch (error) {
+    logger.error('Error updating data policy:', error);
+    res.status(500).json({ error: 'Failed to update data policy' });
+  }
+});
+
+// Load the home onto req.home and the caller's role onto req.homeRole (members only)
+const loadHome = async (req, res, next) => {
+  try {
+    const homeDoc = await db.collection('homes').doc(req.params.id).get();
+    if (!homeDoc.exists) {
+      return res.status(404).json({ error: 'Home not found' });
+    }
+    const role = homeRole(homeDoc.data(), req.userId);
+    if (!role) {
+      return res.status(403).json({ error: 'Unauthorized to access this home' });
+    }
+    req.home = { id: homeDoc.id, ...homeDoc.data() };
+    req.homeRole = role;
+    next();
+  } catch (error) {
+    logger.error('Error fetching home:', error);
+    res.status(500).json({ error: 'Failed to fetch home' });
+  }
+};
+
+// Private records are readable per type by role; public records by every member (writes are per type in both)
+const canRead = (req, scope, type) => scope === 'publicData' || canAccessData(req.home, req.userId, type, 'read');
+
+// Private sensitive fields are decrypted only here, after the read check, and every reveal is logged
+const revealData = async (req, scope, { recordId, type, data }, via) => {
+  if (scope !== 'privateData') return data;
+  const { data: plain, opened } = await openFields(req.home.id, recordId, type, data);
+  await logSecretAccess(req.home.id, { userId: req.userId, recordId, type, fields: opened, via });
+  return plain;
+};
+
+// GET /api/homes/:id/secret-access-log - Who read which private secret, newest first (protected, owner and managers)
+router.get('/:id/secret-access-log', verifyToken, loadHome, async (req, res) => {
+  if (!can(req.home, req.userId, 'secrets:audit')) {
+    return res.status(403).json({ error: 'Unauthorized to view the access log' });
+  }
+  const { error, value } = accessLogQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+  const { limit, cursor } = value;
+
+  let query = db.collection('homes').doc(req.home.id).collection('secretAccessLog')
+    .orderBy('accessedAt', 'desc')
+    .orderBy(admin.firestore.FieldPath.documentId(), 'desc');
+  const signature = `secretAccessLog:${req.home.id}`;
+  if (cursor) {
+    const startAfter = decodeCursor(cursor, signature);
+    if (!startAfter) {
+      return res.status(400).json({ error: 'Invalid cursor' });
     }
-    const snapshot = await db.collection(`homes/${homeId}/publicData`).get();
-    const publicData = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-    res.json(publicData);
+    query = query.startAfter(...startAfter);
+  }
+
+  try {
+    const snapshot = await query.limit(limit).get();
+    const entries = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    const nextCursor = snapshot.size === limit
+      ? encodeCursor(snapshot.docs[snapshot.size - 1], ['accessedAt'], signature)
+      : null;
+    res.json({ entries, nextCursor });
   } catch (error) {
-    logger.error('Error fetching public data:', error);
-    res.status(500).json({ error: 'Failed to fetch public data' });
+    sendHomeError(res, error, 'Failed to fetch access log');
+  }
+});
+
+// GET /api/homes/:id/service-history - Gigs posted for this home, newest first; filter by status, cursor paginated (protected, members)
+router.get('/:id/service-history', verifyToken, loadHome, async (req, res) => {
+  const { error, value } = serviceHistoryQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
   }
+  const { status, limit, cursor } = value;
+
+  let query = serviceHistoryRef(req.home.id);
+  if (status) query = query.where('status', '==', status);
+  query = query.orderBy('createdAt', 'desc').orderBy(admin.firestore.FieldPath.documentId(), 'desc');
+  const signature = `serviceHistory:${req.home.id}:${status || ''}`;
+  if (cursor) {
+    const startAfter = decodeCursor(cursor, signature);
+    if (!startAfter) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+    query = query.startAfter(...startAfter);
+  }
+
+  try {
+    const snapshot = await query.limit(limit).get();
+    const gigs = snapshot.docs.map((doc) => {
+      const gig = doc.data();
+      return {
+        id: doc.id,
+        title: gig.title,
+        category: gig.category || null,
+        status: gig.status,
+        price: gig.price,
+        postedBy: gig.userId,
+        workerId: gig.acceptedBy || null,
+        createdAt: gig.createdAt,
+        completedAt: gig.completedAt || null
+      };
+    });
+    const nextCursor = snapshot.size === limit
+      ? encodeCursor(snapshot.docs[snapshot.size - 1], ['createdAt'], signature)
+      : null;
+    res.json({ gigs, nextCursor });
+  } catch (error) {
+    sendHomeError(res, error, 'Failed to fetch service history');
+  }
+});
+
+// POST /api/homes/:id/shares - Create a share link for the home's public page (protected, owner only)
+// The token is only returned here; it cannot be looked up again
+router.post('/:id/shares', verifyToken, validate(shareSchema), loadHome, async (req, res) => {
+  if (!can(req.home, req.userId, 'home:share')) {
+    return res.status(403).json({ error: 'Unauthorized to share this home' });
+  }
+  try {
+    const share = await createShare(req.home.id, req.userId, req.body);
+    logger.info('Home share link created:', { homeId: req.home.id, shareId: share.id });
+    res.status(201).json(share);
+  } catch (error) {
+    sendHomeError(res, error, 'Failed to create share link');
+  }
+});
+
+// GET /api/homes/:id/shares - Share links with their use counts, newest first (protected, owner only)
+router.get('/:id/shares', verifyToken, loadHome, async (req, res) => {
+  if (!can(req.home, req.userId, 'home:share')) {
+    return res.status(403).json({ error: 'Unauthorized to view share links' });
+  }
+  try {
+    res.json(await listShares(req.home.id));
+  } catch (error) {
+    sendHomeError(res, error, 'Failed to fetch share links');
+  }
+});
+
+// GET /api/homes/:id/shares/:shareId/accesses - When and from where a share link was used, newest first (protected, owner only)
+router.get('/:id/shares/:shareId/accesses', verifyToken, loadHome, async (req, res) => {
+  if (!can(req.home, req.userId, 'home:share')) {
+    return res.status(403).json({ error: 'Unauthorized to view share links' });
+  }
+  try {
+    const shareRef = sharesRef().doc(req.params.shareId);
+    const shareDoc = await shareRef.get();
+    if (!shareDoc.exists || shareDoc.data().homeId !== req.home.id) {
+      return res.status(404).json({ error: 'Share link not found' });
+    }
+    const snapshot = await shareRef.collection('accesses').orderBy('accessedAt', 'desc').limit(100).get();
+    res.json(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+  } catch (error) {
+    sendHomeError(res, error, 'Failed to fetch share link accesses');
+  }
+});
+
+// DELETE /api/homes/:id/shares/:shareId - Revoke a share link (protected, owner only)
+router.delete('/:id/shares/:shareId', verifyToken, loadHome, async (req, res) => {
+  if (!can(req.home, req.userId, 'home:share')) {
+    return res.status(403).json({ error: 'Unauthorized to revoke share links' });
+  }
+  try {
+    await revokeShare(req.home.id, req.params.shareId, req.userId);
+    logger.info('Home share link revoked:', { homeId: req.home.id, shareId: req.params.shareId });
+    res.json({ success: true, message: 'Share link revoked' });
+  } catch (error) {
+    sendHomeError(res, error, 'Failed to revoke share link');
+  }
+});
+
+// Same routes for /privateData and /publicData
+SCOPES.forEach((scope) => {
+  const label = scope === 'privateData' ? 'private' : 'public';
+  const title = scope === 'privateData' ? 'Private' : 'Public';
+
+  // POST /api/homes/:id/{scope} - Add a record of a known type (protected, roles allowed to write this type)
+  router.post(`/:id/${scope}`, verifyToken, validate(dataSchema), loadHome, async (req, res) => {
+    const { type } = req.body;
+    if (!canAccessData(req.home, req.userId, type, 'write')) {
+      return res.status(403).json({ error: `Unauthorized to add ${type} data` });
+    }
+    try {
+      const record = await createRecord(req.home.id, scope, req.body, req.userId);
+      logger.info(`${title} data added:`, { homeId: req.home.id, type, id: record.id });
+      res.status(201).json(record);
+    } catch (error) {
+      sendHomeError(res, error, `Failed to add ${label} data`);
+    }
+  });
+
+  // GET /api/homes/:id/{scope} - Records the caller may read, newest first; filter by type, cursor paginated
+  router.get(`/:id/${scope}`, verifyToken, loadHome, async (req, res) => {
+    const { error, value } = recordListSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    const { type, limit, cursor } = value;
+    if (type && !canRead(req, scope, type)) {
+      return res.status(403).json({ error: `Unauthorized to view ${type} data` });
+    }
+
+    let query = recordsRef(req.home.id, scope);
+    if (type) query = query.where('type', '==', type);
+    query = query.orderBy('createdAt', 'desc').orderBy(admin.firestore.FieldPath.documentId(), 'desc');
+    const signature = `${scope}:${req.home.id}:${type || ''}`;
+    if (cursor) {
+      const startAfter = decodeCursor(cursor, signature);
+      if (!startAfter) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+      query = query.startAfter(...startAfter);
+    }
+
+    try {
+      const snapshot = await query.limit(limit).get();
+      // Deleted records and unreadable types are dropped after the fetch, so a page can come back short.
+      // Listings never decrypt: private secrets are revealed one record at a time.
+      const records = snapshot.docs
+        .filter(doc => !doc.data().deleted && canRead(req, scope, doc.data().type))
+        .map((doc) => {
+          const record = { id: doc.id, ...doc.data() };
+          return scope === 'privateData' ? { ...record, data: maskFields(record.type, record.data) } : record;
+        });
+      const nextCursor = snapshot.size === limit
+        ? encodeCursor(snapshot.docs[snapshot.size - 1], ['createdAt'], signature)
+        : null;
+      res.json({ records, nextCursor });
+    } catch (error) {
+      sendHomeError(res, error, `Failed to fetch ${label} data`);
+    }
+  });
+
+  // GET /api/homes/:id/{scope}/:recordId - One record, private secrets decrypted
+  router.get(`/:id/${scope}/:recordId`, verifyToken, loadHome, async (req, res) => {
+    try {
+      const record = await getRecord(req.home.id, scope, req.params.recordId);
+      if (!canRead(req, scope, record.type)) {
+        return res.status(403).json({ error: `Unauthorized to view ${record.type} data` });
+      }
+      const data = await revealData(req, scope, { recordId: record.id, type: record.type, data: record.data }, 'record');
+      res.json({ ...record, data });
+    } catch (error) {
+      sendHomeError(res, error, `Failed to fetch ${label} data`);
+    }
+  });
+
+  // PATCH /api/homes/:id/{scope}/:recordId - Update a record's data; bumps its version
+  router.patch(`/:id/${scope}/:recordId`, verifyToken, validate(recordUpdateSchema), loadHome, async (req, res) => {
+    try {
+      const current = await getRecord(req.home.id, scope, req.params.recordId);
+      if (!canAccessData(req.home, req.userId, current.type, 'write')) {
+        return res.status(403).json({ error: `Unauthorized to change ${current.type} data` });
+      }
+      const record = await updateRecord(req.home.id, scope, req.params.recordId, req.body, req.userId);
+      logger.info(`${title} data updated:`, { homeId: req.home.id, id: record.id, version: record.version });
+      res.json(record);
+    } catch (error) {
+      sendHomeError(res, error, `Failed to update ${label} data`);
+    }
+  });
+
+  // DELETE /api/homes/:id/{scope}/:recordId - Delete a record (history is kept)
+  router.delete(`/:id/${scope}/:recordId`, verifyToken, loadHome, async (req, res) => {
+    try {
+      const current = await getRecord(req.home.id, scope, req.params.recordId);
+      if (!canAccessData(req.home, req.userId, current.type, 'write')) {
+        return res.status(403).json({ error: `Unauthorized to delete ${current.type} data` });
+      }
+      await deleteRecord(req.home.id, scope, req.params.recordId, req.userId);
+      logger.info(`${title} data deleted:`, { homeId: req.home.id, id: req.params.recordId });
+      res.json({ success: true, message: 'Record deleted' });
+    } catch (error) {
+      sendHomeError(res, error, `Failed to delete ${label} data`);
+    }
+  });
+
+  // GET /api/homes/:id/{scope}/:recordId/versions - Who changed the record and when, newest first
+  router.get(`/:id/${scope}/:recordId/versions`, verifyToken, loadHome, async (req, res) => {
+    try {
+      const { type, versions } = await listVersions(req.home.id, scope, req.params.recordId);
+      if (!canRead(req, scope, type)) {
+        return res.status(403).json({ error: `Unauthorized to view ${type} data` });
+      }
+      if (scope !== 'privateData') {
+        return res.json(versions);
+      }
+      // One access log entry for the whole history rather than one per version
+      const recordId = req.params.recordId;
+      const revealed = [];
+      const opened = new Set();
+      for (const entry of versions) {
+        const { data, opened: fields } = await openFields(req.home.id, recordId, type, entry.data);
+        fields.forEach(field => opened.add(field));
+        revealed.push({ ...entry, data });
+      }
+      await logSecretAccess(req.home.id, { userId: req.userId, recordId, type, fields: [...opened], via: 'history' });
+      res.json(revealed);
+    } catch (error) {
+      sendHomeError(res, error, `Failed to fetch ${label} data history`);
+    }
+  });
 });
 
 module.exports = router;
@@ -1,20 +1,270 @@
 const express = require('express');
 const router = express.Router();
 const verifyToken = require('../middleware/auth');
+const requireVerifiedPhone = require('../middleware/requireVerifiedPhone');
 const { db } = require('../config/firebase');
+const admin = require('firebase-admin');
+const Joi = require('joi');
+const validate = require('../middleware/validate');
+const logger = require('../logger');
+const { toMinorUnits } = require('../services/payments');
+const { fanOutCampaign, fundCampaign, recordAdView } = require('../services/campaigns');
+const { ACTIONS, adsRef, updateItems, countUnread } = require('../services/mailbox');
+const { encodeCursor, decodeCursor } = require('../services/search');
 
-// POST /api/mailbox/ad - Send ad (business side)
-router.post('/ad', verifyToken, async (req, res) => {
-  const { content, targetUserId } = req.body;
-  await db.collection('mailboxes').doc(targetUserId).collection('ads').add({ content });
-  // Trigger payout on view (use Firestore listener in prod)
-  res.json({ message: 'Ad sent' });
+const campaignSchema = Joi.object({
+  name: Joi.string().max(100).required(),
+  creative: Joi.object({
+    headline: Joi.string().max(100).required(),
+    body: Joi.string().max(1000).required(),
+    imageUrl: Joi.string().uri().optional(),
+    ctaUrl: Joi.string().uri().optional()
+  }).required(),
+  targeting: Joi.object({
+    cities: Joi.array().items(Joi.string()).max(30).optional(),
+    states: Joi.array().items(Joi.string()).max(30).optional(),
+    zipcodes: Joi.array().items(Joi.string()).max(30).optional(),
+    minAge: Joi.number().integer().min(18).optional(),
+    maxAge: Joi.number().integer().min(Joi.ref('minAge', { adjust: (v) => v || 18 })).optional()
+  }).default({}),
+  budget: Joi.number().positive().required(), // Total spend, in dollars
+  pricePerView: Joi.number().positive().max(Joi.ref('budget')).required() // Paid to each first-time viewer
 });
 
-// GET /api/mailbox - User inbox
+const inboxQuerySchema = Joi.object({
+  archived: Joi.boolean().default(false),
+  unread: Joi.boolean().optional(), // true: only unread items
+  limit: Joi.number().integer().min(1).max(50).default(20),
+  cursor: Joi.string().max(1000).optional()
+});
+
+const itemUpdateSchema = Joi.object({
+  read: Joi.boolean().optional(),
+  archived: Joi.boolean().optional()
+}).or('read', 'archived');
+
+const bulkSchema = Joi.object({
+  ids: Joi.array().items(Joi.string()).min(1).max(100).unique().required(),
+  action: Joi.string().valid(...ACTIONS).required()
+});
+
+// Inbox errors carry their status; anything else is a 500
+const sendMailboxError = (res, error, message) => {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  logger.error(`${message}:`, error);
+  res.status(500).json({ error: message });
+};
+
+const campaignStatusSchema = Joi.object({
+  status: Joi.string().valid('active', 'paused').required()
+});
+
+// Campaigns are for business accounts (accountType chosen at registration)
+const requireBusiness = async (req, res, next) => {
+  try {
+    const userDoc = await db.collection('users').doc(req.userId).get();
+    if (!userDoc.exists || userDoc.data().accountType !== 'business') {
+      return res.status(403).json({ error: 'Business account required' });
+    }
+    next();
+  } catch (error) {
+    logger.error('Error checking account type:', error);
+    res.status(500).json({ error: 'Failed to verify account' });
+  }
+};
+
+// Load a campaign owned by the caller onto req.campaign
+const loadOwnCampaign = async (req, res, next) => {
+  try {
+    const campaignDoc = await db.collection('campaigns').doc(req.params.id).get();
+    if (!campaignDoc.exists) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    if (campaignDoc.data().ownerId !== req.userId) {
+      return res.status(403).json({ error: 'Unauthorized to manage this campaign' });
+    }
+    req.campaign = { id: campaignDoc.id, ...campaignDoc.data() };
+    next();
+  } catch (error) {
+    logger.error('Error fetching campaign:', error);
+    res.status(500).json({ error: 'Failed to fetch campaign' });
+  }
+};
+
+// POST /api/mailbox/campaigns - Create a campaign as a draft (business only)
+router.post('/campaigns', verifyToken, requireBusiness, validate(campaignSchema), async (req, res) => {
+  try {
+    const { name, creative, targeting, budget, pricePerView } = req.body;
+    const campaignData = {
+      ownerId: req.userId,
+      name,
+      creative,
+      targeting,
+      budgetCents: toMinorUnits(budget),
+      pricePerViewCents: toMinorUnits(pricePerView),
+      fundedCents: 0, // Charged to the owner on activation
+      spentCents: 0,
+      deliveredCount: 0,
+      openCount: 0,
+      viewCount: 0,
+      status: 'draft',
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+    const campaignRef = await db.collection('campaigns').add(campaignData);
+    logger.info('Campaign created:', { id: campaignRef.id, ownerId: req.userId });
+    res.status(201).json({ id: campaignRef.id, ...campaignData });
+  } catch (error) {
+    logger.error('Error creating campaign:', error);
+    res.status(500).json({ error: 'Failed to create campaign' });
+  }
+});
+
+// GET /api/mailbox/campaigns - List own campaigns (business only)
+router.get('/campaigns', verifyToken, requireBusiness, async (req, res) => {
+  try {
+    const snapshot = await db.collection('campaigns')
+      .where('ownerId', '==', req.userId)
+      .orderBy('createdAt', 'desc')
+      .get();
+    res.json(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+  } catch (error) {
+    logger.error('Error listing campaigns:', error);
+    res.status(500).json({ error: 'Failed to list campaigns' });
+  }
+});
+
+// GET /api/mailbox/campaigns/:id - Campaign with spend, delivery, open and view counts (owner only)
+router.get('/campaigns/:id', verifyToken, loadOwnCampaign, (req, res) => {
+  res.json(req.campaign);
+});
+
+// PATCH /api/mailbox/campaigns/:id/status - Activate (charging the budget the first time) or pause (owner only)
+router.patch('/campaigns/:id/status', verifyToken, loadOwnCampaign, validate(campaignStatusSchema), async (req, res) => {
+  const { status } = req.body;
+  const { campaign } = req;
+  if (campaign.status === 'exhausted' && status === 'active') {
+    return res.status(409).json({ error: 'Campaign budget is exhausted' });
+  }
+  if (campaign.status === 'removed') {
+    return res.status(409).json({ error: 'Campaign was removed by moderation' });
+  }
+  try {
+    // The budget is charged on first activation; views are only paid from funded budget
+    const funding = status === 'active' ? await fundCampaign(campaign.id) : { chargedCents: 0 };
+    await db.collection('campaigns').doc(campaign.id).update({ status });
+    logger.info('Campaign status updated:', { id: campaign.id, status, chargedCents: funding.chargedCents });
+    res.json({ success: true, message: `Campaign ${status}`, chargedCents: funding.chargedCents });
+  } catch (error) {
+    sendMailboxError(res, error, 'Failed to update campaign');
+  }
+});
+
+// POST /api/mailbox/campaigns/:id/deliver - Fan the ad out to matching mailboxes (owner only, active campaigns)
+router.post('/campaigns/:id/deliver', verifyToken, loadOwnCampaign, async (req, res) => {
+  if (req.campaign.status !== 'active') {
+    return res.status(409).json({ error: 'Only active campaigns can be delivered' });
+  }
+  try {
+    const delivered = await fanOutCampaign(req.campaign.id);
+    logger.info('Campaign delivered:', { id: req.campaign.id, delivered });
+    res.json({ success: true, delivered });
+  } catch (error) {
+    logger.error('Error delivering campaign:', error);
+    res.status(500).json({ error: 'Failed to deliver campaign' });
+  }
+});
+
+// POST /api/mailbox/:adId/view - Track a view; the first view of a campaign pays the viewer
+// (paid views need a verified phone, like every other way of earning)
+router.post('/:adId/view', verifyToken, requireVerifiedPhone, async (req, res) => {
+  try {
+    const result = await recordAdView(req.userId, req.params.adId);
+    if (result.credited) {
+      logger.info('Ad view credited:', { userId: req.userId, adId: req.params.adId, amountCents: result.amountCents });
+    }
+    res.json(result);
+  } catch (error) {
+    sendMailboxError(res, error, 'Failed to record view');
+  }
+});
+
+// GET /api/mailbox/unread-count - Unread, unarchived items for the inbox badge
+router.get('/unread-count', verifyToken, async (req, res) => {
+  try {
+    res.json({ unread: await countUnread(req.userId) });
+  } catch (error) {
+    sendMailboxError(res, error, 'Failed to count unread items');
+  }
+});
+
+// POST /api/mailbox/bulk - Mark read/unread, archive/unarchive or delete several items at once
+router.post('/bulk', verifyToken, validate(bulkSchema), async (req, res) => {
+  try {
+    const updated = await updateItems(req.userId, req.body.ids, req.body.action);
+    res.json({ success: true, updated });
+  } catch (error) {
+    sendMailboxError(res, error, 'Failed to update mailbox items');
+  }
+});
+
+// PATCH /api/mailbox/:adId - Set read and/or archived on one item
+router.patch('/:adId', verifyToken, validate(itemUpdateSchema), async (req, res) => {
+  const { read, archived } = req.body;
+  try {
+    if (read !== undefined) await updateItems(req.userId, [req.params.adId], read ? 'read' : 'unread');
+    if (archived !== undefined) await updateItems(req.userId, [req.params.adId], archived ? 'archive' : 'unarchive');
+    res.json({ success: true, message: 'Mailbox item updated' });
+  } catch (error) {
+    sendMailboxError(res, error, 'Failed to update mailbox item');
+  }
+});
+
+// DELETE /api/mailbox/:adId - Delete one item
+router.delete('/:adId', verifyToken, async (req, res) => {
+  try {
+    await updateItems(req.userId, [req.params.adId], 'delete');
+    res.json({ success: true, message: 'Mailbox item deleted' });
+  } catch (error) {
+    sendMailboxError(res, error, 'Failed to delete mailbox item');
+  }
+});
+
+// GET /api/mailbox - User inbox, newest first, cursor paginated
+// Query: archived (default false), unread, limit, cursor
 router.get('/', verifyToken, async (req, res) => {
-  const ads = await db.collection('mailboxes').doc(req.userId).collection('ads').get();
-  res.json(ads.docs.map(doc => doc.data()));
+  const { error, value } = inboxQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+
+  const { archived, unread, limit, cursor } = value;
+  const signature = `mailbox:${archived}:${Boolean(unread)}`;
+  let query = adsRef(req.userId).where('archived', '==', archived);
+  if (unread) {
+    query = query.where('read', '==', false);
+  }
+  query = query.orderBy('createdAt', 'desc').orderBy(admin.firestore.FieldPath.documentId(), 'desc');
+
+  if (cursor) {
+    const startAfter = decodeCursor(cursor, signature);
+    if (!startAfter) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+    query = query.startAfter(...startAfter);
+  }
+
+  try {
+    const snapshot = await query.limit(limit).get();
+    const items = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    const nextCursor = snapshot.size === limit
+      ? encodeCursor(snapshot.docs[snapshot.size - 1], ['createdAt'], signature)
+      : null;
+    res.json({ items, nextCursor });
+  } catch (error) {
+    sendMailboxError(res, error, 'Failed to fetch mailbox');
+  }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
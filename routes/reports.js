@@ -0,0 +1,57 @@
+const express = require('express');
+const router = express.Router();
+const verifyToken = require('../middleware/auth');
+const { db } = require('../config/firebase');
+const admin = require('firebase-admin');
+const Joi = require('joi');
+const validate = require('../middleware/validate');
+const logger = require('../logger');
+const { httpError } = require('../services/errors');
+
+const REPORT_TARGETS = ['user', 'gig', 'ad'];
+const REPORT_REASONS = ['spam', 'scam', 'harassment', 'inappropriate', 'other'];
+
+const reportSchema = Joi.object({
+  targetType: Joi.string().valid(...REPORT_TARGETS).required(),
+  targetId: Joi.string().max(128).pattern(/^[A-Za-z0-9-]+$/).required(), // Part of the report id, so no '/' or '_'
+  reason: Joi.string().valid(...REPORT_REASONS).required(),
+  details: Joi.string().trim().max(2000).allow('').default('')
+});
+
+// POST /api/reports - Flag a user, gig or mailbox ad for moderators (one open report per reporter and target)
+router.post('/', verifyToken, validate(reportSchema), async (req, res) => {
+  const { targetType, targetId, reason, details } = req.body;
+  if (targetType === 'user' && targetId === req.userId) {
+    return res.status(400).json({ error: 'You cannot report yourself' });
+  }
+
+  try {
+    const reportRef = db.collection('reports').doc(`${targetType}_${targetId}_${req.userId}`);
+    // Created only once, so reporting again cannot reopen a report a moderator has closed
+    await db.runTransaction(async (transaction) => {
+      const reportDoc = await transaction.get(reportRef);
+      if (reportDoc.exists) {
+        throw httpError(409, 'You have already reported this');
+      }
+      transaction.create(reportRef, {
+        targetType,
+        targetId,
+        reporterId: req.userId,
+        reason,
+        details,
+        status: 'open',
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    });
+    logger.info('Report filed:', { id: reportRef.id, targetType, targetId, reason });
+    res.status(201).json({ id: reportRef.id, status: 'open' });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Error filing report:', error);
+    res.status(500).json({ error: 'Failed to file report' });
+  }
+});
+
+module.exports = router;
@@ -1,15 +1,25 @@
 const express = require('express');
 const router = express.Router();
 const { db, auth } = require('../config/firebase');
-const jwt = require('jsonwebtoken');
 const winston = require('winston');
 const axios = require('axios');
 const rateLimit = require('express-rate-limit');
 const verifyToken = require('../middleware/auth');
-const nodemailer = require('nodemailer');  // New: For sending custom emails
+const requireVerifiedPhone = require('../middleware/requireVerifiedPhone');
 const validate = require('../middleware/validate');  // Assuming from prior step
 const Joi = require('joi');  // For enhanced validation
 const logger = require('../logger');
+const admin = require('firebase-admin');
+const { encodeCursor, decodeCursor } = require('../services/search');
+const { calculateAge } = require('../services/age');
+const { toMinorUnits, createSetupIntent, saveDefaultPaymentMethod } = require('../services/payments');
+const { getBalance, ledgerRef } = require('../services/wallet');
+const { requestPayout } = require('../services/payouts');
+const { sendCode, verifyCode } = require('../services/phoneVerification');
+const { createSession, refreshSession, revokeSession, revokeAllSessions } = require('../services/sessions');
+const { restrictionOf, describeRestriction } = require('../services/moderation');
+const { sendEmail, actionCodeSettings } = require('../services/email');
+const { updateProfile, getPublicProfile, deleteAccount } = require('../services/accounts');
 
 
 // Rate limiter to prevent brute force attacks
@@ -19,6 +29,35 @@ const loginLimiter = rateLimit({
   message: 'Too many login attempts. Please try again later.'
 });
 
+// Clients refresh on their own whenever the access token runs out, and several devices may
+// share an address, so this allows far more than login; refresh tokens are not guessable
+const refreshLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100,
+  message: 'Too many token refreshes. Please try again later.'
+});
+
+// Account emails (reset, verification, change) are cheap to trigger and easy to abuse
+const emailLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5,
+  message: 'Too many email requests. Please try again later.'
+});
+
+// Limits SMS cost and code guessing on top of the per-code cooldown and attempt caps
+const phoneLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 10,
+  message: 'Too many phone verification requests. Please try again later.'
+});
+
+// Deletion checks the password, so it is rate limited like login
+const deleteAccountLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5,
+  message: 'Too many account deletion attempts. Please try again later.'
+});
+
 // Joi schema (from prior; enhanced with DOB format)
 const registerSchema = Joi.object({
   email: Joi.string().email().required(),
@@ -36,41 +75,64 @@ const registerSchema = Joi.object({
   accountType: Joi.string().valid('individual', 'business').default('individual')
 });
 
-// Helper to calculate age
-const calculateAge = (dob) => {
-  const birthDate = new Date(dob);
-  const today = new Date();
-  let age = today.getFullYear() - birthDate.getFullYear();
-  const monthDiff = today.getMonth() - birthDate.getMonth();
-  if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < birthDate.getDate())) {
-    age--;
-  }
-  return age;
-};
-
-// Helper to send verification email
-async function sendVerificationEmail(email, link) {
-  const transporter = nodemailer.createTransport({
-    host: process.env.SMTP_HOST,  // e.g., 'smtp.gmail.com'
-    port: process.env.SMTP_PORT || 587,
-    secure: false,
-    auth: {
-      user: process.env.SMTP_USER,
-      pass: process.env.SMTP_PASS
-    }
-  });
+// Profile fields a user may change; dateOfBirth is fixed after the age check at registration
+const profileUpdateSchema = Joi.object({
+  username: Joi.string().alphanum().min(3).max(30),
+  phoneNumber: Joi.string().pattern(/^\+[1-9]\d{1,14}$/),  // E.164 format; must be verified again
+  firstName: Joi.string(),
+  lastName: Joi.string(),
+  name: Joi.string(),
+  address: Joi.string(),
+  city: Joi.string(),
+  state: Joi.string(),
+  zipcode: Joi.string(),
+  avatarUrl: Joi.string().uri().allow(null)
+}).min(1);
+
+const deleteAccountSchema = Joi.object({
+  password: Joi.string().required()  // Re-authentication for an irreversible action
+});
+
+const forgotPasswordSchema = Joi.object({
+  email: Joi.string().email().required()
+});
+
+const resetPasswordSchema = Joi.object({
+  oobCode: Joi.string().required(),  // From the Firebase action link
+  newPassword: Joi.string().min(8).required()
+});
 
-  await transporter.sendMail({
-    from: '"Oodoo" <no-reply@oodoo.com>',
-    to: email,
-    subject: 'Verify Your Email for Oodoo',
-    html: `<p>Hello,</p><p>Please verify your email by clicking <a href="${link}">here</a>.</p><p>If you didn't request this, ignore it.</p>`
-  });
-}
+const emailChangeSchema = Joi.object({
+  newEmail: Joi.string().email().required(),
+  password: Joi.string().required()  // Re-authentication for a sensitive change
+});
+
+const refreshSchema = Joi.object({
+  refreshToken: Joi.string().max(200).required()
+});
+
+const phoneCodeSchema = Joi.object({
+  code: Joi.string().pattern(/^\d{6}$/).required()
+});
+
+const payoutSchema = Joi.object({
+  amount: Joi.number().positive().precision(2).required()  // Dollars, like gig prices
+});
+
+const paymentMethodSchema = Joi.object({
+  setupIntentId: Joi.string().pattern(/^seti_/).required()
+});
+
+// Firebase Identity Toolkit REST API (password sign-in and reset)
+const identityToolkit = (method, body) => axios.post(
+  `https://identitytoolkit.googleapis.com/v1/accounts:${method}?key=${process.env.FIREBASE_API_KEY}`,
+  body
+);
 
 // POST /api/users/register
 router.post('/register', validate(registerSchema), async (req, res) => {
-  const { email, password, phoneNumber, username, firstName, lastName, dateOfBirth, address, city, state, zipcode, name, accountType } = req.body;
+  const { email, password, phoneNumber, username, firstName, lastName, address, city, state, zipcode, name, accountType } = req.body;
+  const dateOfBirth = req.body.dateOfBirth.toISOString().slice(0, 10); // Stored as an ISO date, as calculateAge expects
   logger.info('Register Attempt:', { email, phoneNumber, username, firstName, lastName });
 
   try {
@@ -95,7 +157,16 @@ router.post('/register', validate(registerSchema), async (req, res) => {
     const displayName = name || `${firstName} ${lastName}`;
 
     if (userRecord) {
-      // Update mode
+      // Auth account created elsewhere: only the owner may attach a profile, and only once.
+      // Later edits go through PATCH /profile.
+      const existingProfile = await db.collection('users').doc(userRecord.uid).get();
+      if (existingProfile.exists) {
+        return res.status(400).json({ error: 'The email address is already in use by another account.' });
+      }
+      const passwordOk = await identityToolkit('signInWithPassword', { email, password }).then(() => true, () => false);
+      if (!passwordOk) {
+        return res.status(401).json({ error: 'Incorrect password for existing account' });
+      }
       if (!usernameQuery.empty && usernameQuery.docs[0].id !== userRecord.uid) {
         return res.status(400).json({ error: 'Username already in use' });
       }
@@ -114,13 +185,16 @@ router.post('/register', validate(registerSchema), async (req, res) => {
         state, 
         zipcode,
         name: displayName,
-        accountType 
+        accountType,
+        verified: userRecord.emailVerified,
+        phoneVerified: false,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
       };
       await db.collection('users').doc(userRecord.uid).set(updateData, { merge: true, ignoreUndefinedProperties: true });
-      logger.info('User Updated in Firestore:', userRecord.uid);
+      logger.info('Profile Created for Existing Auth User:', userRecord.uid);
 
-      const token = jwt.sign({ userId: userRecord.uid }, process.env.JWT_SECRET, { expiresIn: '1h' });
-      return res.json({ uid: userRecord.uid, message: 'User updated', token });
+      const { accessToken, refreshToken } = await createSession(userRecord.uid, { claims: { email }, device: req.get('user-agent') });
+      return res.json({ uid: userRecord.uid, message: 'Profile created', token: accessToken, refreshToken });
     } else {
       // New user
       if (!usernameQuery.empty) {
@@ -141,6 +215,7 @@ router.post('/register', validate(registerSchema), async (req, res) => {
       const userData = { 
         phoneNumber, 
         verified: false, 
+        phoneVerified: false,
         username, 
         firstName, 
         lastName, 
@@ -150,7 +225,8 @@ router.post('/register', validate(registerSchema), async (req, res) => {
         state, 
         zipcode,
         name: displayName,
-        accountType 
+        accountType,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
       };
       await db.collection('users').doc(user.uid).set(userData, { ignoreUndefinedProperties: true });
       logger.info('User Written to Firestore:', user.uid);
@@ -160,12 +236,12 @@ router.post('/register', validate(registerSchema), async (req, res) => {
       //   handleCodeInApp: true
       // };
       // const link = await auth.generateEmailVerificationLink(email, actionCodeSettings);
-      const link = await auth.generateEmailVerificationLink(email);
+      const link = await auth.generateEmailVerificationLink(email, actionCodeSettings());
 
-      await sendVerificationEmail(email, link);
+      await sendEmail('verifyEmail', email, { link });
 
-      const token = jwt.sign({ userId: user.uid }, process.env.JWT_SECRET, { expiresIn: '1h' });
-      res.json({ uid: user.uid, token, message: 'User created. Verification email sent.' });
+      const { accessToken, refreshToken } = await createSession(user.uid, { claims: { email }, device: req.get('user-agent') });
+      res.json({ uid: user.uid, token: accessToken, refreshToken, message: 'User created. Verification email sent.' });
     }
   } catch (err) {
     logger.error('Error Details:', err);
@@ -188,14 +264,11 @@ router.post('/login', loginLimiter, async (req, res) => {
   }
   try {
     // Firebase Identity Toolkit REST API for sign-in
-    const response = await axios.post(
-      `https://identitytoolkit.googleapis.com/v1/accounts:signInWithPassword?key=${process.env.FIREBASE_API_KEY}`,
-      {
-        email,
-        password,
-        returnSecureToken: true
-      }
-    );
+    const response = await identityToolkit('signInWithPassword', {
+      email,
+      password,
+      returnSecureToken: true
+    });
     const { idToken, localId: userId } = response.data;
 
     // Fetch user profile from Firestore
@@ -204,26 +277,30 @@ router.post('/login', loginLimiter, async (req, res) => {
       return res.status(401).json({ error: 'User not found in Firestore' });
     }
     const userData = userDoc.data();
+    const restriction = restrictionOf(userData);
+    if (restriction) {
+      return res.status(403).json({ error: describeRestriction(restriction) });
+    }
 
-    // Create JWT payload (use userId consistently)
-    const tokenPayload = {
-      userId: userId,  // Use the Firebase UID here (was localId)
+    // Claims copied into every access token of the session (userId is added by the session)
+    const claims = {
       email: userData.email || email,
       role: userData.role || 'user'  // Pull from Firestore if available
     };
 
-    // Sign the token
-    const token = jwt.sign(tokenPayload, process.env.JWT_SECRET, { expiresIn: '12h' });
+    // Short-lived access token plus a rotating refresh token, tied to a session for this device
+    const { accessToken: token, refreshToken } = await createSession(userId, { claims, device: req.get('user-agent') });
 
     // Return response
     res.status(200).json({
       message: 'Login successful',
       token,
+      refreshToken,
       user: {
         uid: userId,  // For compatibility if frontend expects 'uid'
-        email: tokenPayload.email,
+        email: claims.email,
         name: userData.name || '',
-        role: tokenPayload.role
+        role: claims.role
       }
     });
   } catch (err) {
@@ -233,6 +310,123 @@ router.post('/login', loginLimiter, async (req, res) => {
   }
 });
 
+// POST /api/users/password/forgot - Email a password reset link (same answer whether or not the account exists)
+router.post('/password/forgot', emailLimiter, validate(forgotPasswordSchema), async (req, res) => {
+  const { email } = req.body;
+  try {
+    const link = await auth.generatePasswordResetLink(email, actionCodeSettings());
+    await sendEmail('passwordReset', email, { link });
+  } catch (err) {
+    if (err.code !== 'auth/user-not-found' && err.code !== 'auth/email-not-found') {
+      logger.error('Password Reset Email Error:', err);
+      return res.status(500).json({ error: 'Failed to send reset email' });
+    }
+  }
+  res.json({ success: true, message: 'If an account exists for that email, a reset link has been sent.' });
+});
+
+// POST /api/users/password/reset - Set a new password with the code from the reset link; ends every session
+router.post('/password/reset', emailLimiter, validate(resetPasswordSchema), async (req, res) => {
+  const { oobCode, newPassword } = req.body;
+  try {
+    const response = await identityToolkit('resetPassword', { oobCode, newPassword });
+    const userRecord = await auth.getUserByEmail(response.data.email);
+    const revoked = await revokeAllSessions(userRecord.uid, 'password_reset');
+    logger.info('Password reset:', { userId: userRecord.uid, revoked });
+    res.json({ success: true, message: 'Password updated. Please log in again.' });
+  } catch (err) {
+    const firebaseError = err.response?.data?.error?.message;
+    if (firebaseError) {
+      return res.status(400).json({ error: firebaseError === 'EXPIRED_OOB_CODE' ? 'Reset link has expired' : 'Invalid reset link' });
+    }
+    logger.error('Password Reset Error:', err);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+// POST /api/users/email/verification - Resend the verification email
+router.post('/email/verification', emailLimiter, verifyToken, async (req, res) => {
+  try {
+    const userRecord = await auth.getUser(req.userId);
+    if (userRecord.emailVerified) {
+      return res.status(409).json({ error: 'Email is already verified' });
+    }
+    const link = await auth.generateEmailVerificationLink(userRecord.email, actionCodeSettings());
+    await sendEmail('verifyEmail', userRecord.email, { link });
+    res.json({ success: true, message: 'Verification email sent' });
+  } catch (err) {
+    logger.error('Verification Resend Error:', err);
+    res.status(500).json({ error: 'Failed to send verification email' });
+  }
+});
+
+// POST /api/users/email/change - Send a confirmation link to the new address; the change applies once it is clicked
+router.post('/email/change', emailLimiter, verifyToken, validate(emailChangeSchema), async (req, res) => {
+  const { newEmail, password } = req.body;
+  try {
+    const userRecord = await auth.getUser(req.userId);
+    if (userRecord.email.toLowerCase() === newEmail.toLowerCase()) {
+      return res.status(400).json({ error: 'That is already your email address' });
+    }
+    const passwordOk = await identityToolkit('signInWithPassword', { email: userRecord.email, password })
+      .then(() => true, () => false);
+    if (!passwordOk) {
+      return res.status(401).json({ error: 'Incorrect password' });
+    }
+    if (await auth.getUserByEmail(newEmail).catch(() => null)) {
+      return res.status(409).json({ error: 'The email address is already in use by another account.' });
+    }
+
+    const link = await auth.generateVerifyAndChangeEmailLink(userRecord.email, newEmail, actionCodeSettings());
+    await sendEmail('emailChange', newEmail, { link, newEmail });
+    await sendEmail('emailChangeRequested', userRecord.email, { newEmail });
+    logger.info('Email change requested:', { userId: req.userId });
+    res.json({ success: true, message: `Confirmation link sent to ${newEmail}` });
+  } catch (err) {
+    logger.error('Email Change Error:', err);
+    res.status(500).json({ error: 'Failed to start email change' });
+  }
+});
+
+// POST /api/users/refresh - Exchange a refresh token for a new access/refresh pair
+router.post('/refresh', refreshLimiter, validate(refreshSchema), async (req, res) => {
+  try {
+    const { accessToken, refreshToken } = await refreshSession(req.body.refreshToken);
+    res.json({ token: accessToken, refreshToken });
+  } catch (err) {
+    if (err.status) {
+      logger.warn(`Refresh rejected: ${err.message}`);
+      return res.status(err.status).json({ error: err.message });
+    }
+    logger.error('Refresh Error:', err);
+    res.status(500).json({ error: 'Failed to refresh session' });
+  }
+});
+
+// POST /api/users/logout - End the current session (this device only)
+router.post('/logout', verifyToken, async (req, res) => {
+  try {
+    await revokeSession(req.sessionId);
+    logger.info('User logged out:', { userId: req.userId, sessionId: req.sessionId });
+    res.json({ success: true, message: 'Logged out' });
+  } catch (err) {
+    logger.error('Logout Error:', err);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
+
+// POST /api/users/logout-all - End every session of the user, on all devices
+router.post('/logout-all', verifyToken, async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.userId);
+    logger.info('User logged out everywhere:', { userId: req.userId, revoked });
+    res.json({ success: true, revoked });
+  } catch (err) {
+    logger.error('Logout All Error:', err);
+    res.status(500).json({ error: 'Failed to log out all devices' });
+  }
+});
+
 // GET /api/users/profile - Protected
 router.get('/profile', verifyToken, async (req, res) => {
   try {
@@ -245,6 +439,8 @@ router.get('/profile', verifyToken, async (req, res) => {
     const userData = userDoc.data();
     // Optional: Sanitize - exclude sensitive fields if any (e.g., internal notes)
     // delete userData.someSensitiveField;
+    const { total, ...reputation } = userData.reputation || { average: 0, count: 0, recentReviews: [] };
+    userData.reputation = reputation;
 
     logger.info(`Profile fetched for user: ${req.userId}`);
     res.json({ data: userData });  // Wrapped for consistency
@@ -254,4 +450,201 @@ router.get('/profile', verifyToken, async (req, res) => {
   }
 });
 
+// PATCH /api/users/profile - Update own profile (username and phone must stay unique)
+router.patch('/profile', verifyToken, validate(profileUpdateSchema), async (req, res) => {
+  try {
+    const updated = await updateProfile(req.userId, req.body);
+    logger.info(`Profile updated for user: ${req.userId}`, { fields: Object.keys(req.body) });
+    res.json({ success: true, data: updated });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    logger.error('Profile Update Error:', err);
+    res.status(500).json({ error: 'Failed to update profile' });
+  }
+});
+
+// POST /api/users/phone/send-code - Text a verification code to the profile phone number
+router.post('/phone/send-code', phoneLimiter, verifyToken, async (req, res) => {
+  try {
+    const result = await sendCode(req.userId);
+    logger.info('Phone verification code sent:', { userId: req.userId });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    logger.error('Phone Code Send Error:', err);
+    res.status(500).json({ error: 'Failed to send verification code' });
+  }
+});
+
+// POST /api/users/phone/verify - Confirm the code and mark the phone as verified
+router.post('/phone/verify', phoneLimiter, verifyToken, validate(phoneCodeSchema), async (req, res) => {
+  try {
+    await verifyCode(req.userId, req.body.code);
+    logger.info('Phone verified:', { userId: req.userId });
+    res.json({ success: true, phoneVerified: true });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    logger.error('Phone Verify Error:', err);
+    res.status(500).json({ error: 'Failed to verify phone number' });
+  }
+});
+
+// GET /api/users/wallet - Balance plus ledger history, newest first, cursor paginated
+router.get('/wallet', verifyToken, async (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 20, 100);
+  const signature = `wallet:${req.userId}`;
+
+  try {
+    let query = ledgerRef(req.userId)
+      .orderBy('createdAt', 'desc')
+      .orderBy(admin.firestore.FieldPath.documentId(), 'desc');
+    if (req.query.cursor) {
+      const startAfter = decodeCursor(req.query.cursor, signature);
+      if (!startAfter) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+      query = query.startAfter(...startAfter);
+    }
+
+    const [balance, snapshot] = await Promise.all([getBalance(req.userId), query.limit(limit).get()]);
+    const transactions = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    const nextCursor = snapshot.size === limit
+      ? encodeCursor(snapshot.docs[snapshot.size - 1], ['createdAt'], signature)
+      : null;
+    res.json({ ...balance, transactions, nextCursor });
+  } catch (err) {
+    logger.error('Wallet Fetch Error:', err);
+    res.status(500).json({ error: 'Failed to fetch wallet' });
+  }
+});
+
+// POST /api/users/wallet/payouts - Pay out part of the available balance
+router.post('/wallet/payouts', verifyToken, requireVerifiedPhone, validate(payoutSchema), async (req, res) => {
+  try {
+    const payout = await requestPayout(req.userId, toMinorUnits(req.body.amount));
+    // 202 while the transfer's outcome is unknown; the scheduler settles it
+    res.status(payout.status === 'paid' ? 201 : 202).json(payout);
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    logger.error('Payout Request Error:', err);
+    res.status(500).json({ error: 'Failed to request payout' });
+  }
+});
+
+// GET /api/users/wallet/payouts - Own payout requests, newest first
+router.get('/wallet/payouts', verifyToken, async (req, res) => {
+  try {
+    const snapshot = await db.collection('payouts')
+      .where('userId', '==', req.userId)
+      .orderBy('createdAt', 'desc')
+      .limit(50)
+      .get();
+    res.json(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+  } catch (err) {
+    logger.error('Payouts Fetch Error:', err);
+    res.status(500).json({ error: 'Failed to fetch payouts' });
+  }
+});
+
+// POST /api/users/payment-method/setup - Start saving a card for gig escrow charges (returns a SetupIntent client secret)
+router.post('/payment-method/setup', verifyToken, async (req, res) => {
+  try {
+    res.status(201).json(await createSetupIntent(req.userId));
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    logger.error('Payment Method Setup Error:', err);
+    res.status(500).json({ error: 'Failed to start payment method setup' });
+  }
+});
+
+// PUT /api/users/payment-method - Use the card of a confirmed SetupIntent for escrow charges
+router.put('/payment-method', verifyToken, validate(paymentMethodSchema), async (req, res) => {
+  try {
+    const saved = await saveDefaultPaymentMethod(req.userId, req.body.setupIntentId);
+    logger.info('Payment method saved:', { userId: req.userId });
+    res.json({ success: true, ...saved });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    logger.error('Payment Method Save Error:', err);
+    res.status(500).json({ error: 'Failed to save payment method' });
+  }
+});
+
+// DELETE /api/users/me - Delete own account and anonymize what other users still need
+router.delete('/me', deleteAccountLimiter, verifyToken, validate(deleteAccountSchema), async (req, res) => {
+  try {
+    const userRecord = await auth.getUser(req.userId);
+    const passwordOk = await identityToolkit('signInWithPassword', { email: userRecord.email, password: req.body.password })
+      .then(() => true, () => false);
+    if (!passwordOk) {
+      return res.status(401).json({ error: 'Incorrect password' });
+    }
+    await deleteAccount(req.userId);
+    res.json({ success: true, message: 'Account deleted' });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    logger.error('Account Deletion Error:', err);
+    res.status(500).json({ error: 'Failed to delete account' });
+  }
+});
+
+// GET /api/users/:id/reviews - Public reviews of a user, newest first, cursor paginated
+router.get('/:id/reviews', async (req, res) => {
+  const { id } = req.params;
+  const limit = Math.min(Number(req.query.limit) || 10, 50);
+  const signature = `reviews:${id}`;
+
+  try {
+    let query = db.collection('reviews')
+      .where('revieweeId', '==', id)
+      .orderBy('createdAt', 'desc')
+      .orderBy(admin.firestore.FieldPath.documentId(), 'desc');
+    if (req.query.cursor) {
+      const startAfter = decodeCursor(req.query.cursor, signature);
+      if (!startAfter) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+      query = query.startAfter(...startAfter);
+    }
+
+    const snapshot = await query.limit(limit).get();
+    const reviews = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    const nextCursor = snapshot.size === limit
+      ? encodeCursor(snapshot.docs[snapshot.size - 1], ['createdAt'], signature)
+      : null;
+    res.json({ reviews, nextCursor });
+  } catch (err) {
+    logger.error('Reviews Fetch Error:', err);
+    res.status(500).json({ error: 'Failed to fetch reviews' });
+  }
+});
+
+// GET /api/users/:id - Public profile (name, username, avatar, reputation, member since)
+router.get('/:id', async (req, res) => {
+  try {
+    const profile = await getPublicProfile(req.params.id);
+    if (!profile) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json(profile);
+  } catch (err) {
+    logger.error('Public Profile Fetch Error:', err);
+    res.status(500).json({ error: 'Failed to fetch user' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const stripe = require('../config/stripe');
+const { handleStripeEvent } = require('../services/payments');
+const { reversePayout } = require('../services/payouts');
+const logger = require('../logger');
+
+// POST /api/webhooks/stripe - Stripe event receiver (signature verified, raw body required)
+router.post('/stripe', express.raw({ type: 'application/json' }), async (req, res) => {
+  const signature = req.headers['stripe-signature'];
+  let event;
+  try {
+    event = stripe.webhooks.constructEvent(req.body, signature, process.env.STRIPE_WEBHOOK_SECRET);
+  } catch (error) {
+    logger.warn('Rejected Stripe webhook:', { error: error.message });
+    return res.status(400).json({ error: 'Invalid signature' });
+  }
+
+  try {
+    // Wallet payouts are tagged with a payoutId; everything else concerns gig escrow
+    const payoutId = event.type === 'transfer.reversed' && event.data.object.metadata?.payoutId;
+    const applied = payoutId ? await reversePayout(payoutId, event.data.object) : await handleStripeEvent(event);
+    logger.info('Stripe event processed:', { eventId: event.id, type: event.type, applied });
+    res.json({ received: true });
+  } catch (error) {
+    // Non-2xx makes Stripe retry the delivery later
+    logger.error('Error processing Stripe event:', { eventId: event.id, error: error.message });
+    res.status(500).json({ error: 'Failed to process event' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,75 @@
+/**
+ * Fills in the search fields of gigs posted before they existed: approximateLocation
+ * (blurred from exactLocation), geohash and searchTokens. Deadlines stored as ISO strings
+ * become timestamps, so deadline filters and the expiry job see them. Gigs that already
+ * have a field keep it, so the script can be re-run safely.
+ *
+ *   npm run gigs:backfill-index
+ */
+const { db } = require('../config/firebase');
+const admin = require('firebase-admin');
+const { blurCoordinate, geohashFor } = require('../services/geo');
+const { tokenize } = require('../services/search');
+
+const PAGE_SIZE = 300; // Below Firestore's 500 writes per batch
+
+function missingFields(gig) {
+  const fields = {};
+  let approximate = gig.approximateLocation;
+  if (!approximate && gig.exactLocation) {
+    approximate = new admin.firestore.GeoPoint(
+      blurCoordinate(gig.exactLocation.latitude),
+      blurCoordinate(gig.exactLocation.longitude)
+    );
+    fields.approximateLocation = approximate;
+  }
+  if (!gig.geohash && approximate) {
+    fields.geohash = geohashFor(approximate.latitude, approximate.longitude);
+  }
+  if (!gig.searchTokens) {
+    fields.searchTokens = tokenize(gig.title, gig.description);
+  }
+  if (typeof gig.deadline === 'string') {
+    const deadline = new Date(gig.deadline);
+    if (!Number.isNaN(deadline.getTime())) {
+      fields.deadline = admin.firestore.Timestamp.fromDate(deadline);
+    }
+  }
+  return fields;
+}
+
+async function main() {
+  const baseQuery = db.collection('gigs').orderBy(admin.firestore.FieldPath.documentId());
+  let scanned = 0;
+  let updated = 0;
+  let lastDoc = null;
+  for (;;) {
+    const page = lastDoc ? baseQuery.startAfter(lastDoc) : baseQuery;
+    const snapshot = await page.limit(PAGE_SIZE).get();
+    if (snapshot.empty) break;
+    lastDoc = snapshot.docs[snapshot.size - 1];
+    scanned += snapshot.size;
+
+    const batch = db.batch();
+    let writes = 0;
+    snapshot.docs.forEach((doc) => {
+      const fields = missingFields(doc.data());
+      if (Object.keys(fields).length) {
+        batch.update(doc.ref, fields);
+        writes++;
+      }
+    });
+    if (writes) await batch.commit();
+    updated += writes;
+
+    if (snapshot.size < PAGE_SIZE) break;
+  }
+  console.log(`ok - ${updated} of ${scanned} gigs backfilled`);
+}
+
+main()
+  .catch((error) => {
+    console.error('not ok -', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.terminate());
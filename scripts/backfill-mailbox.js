@@ -0,0 +1,59 @@
+/**
+ * Fills in the inbox fields of mailbox items delivered before they existed: read and
+ * archived (both false) and createdAt (the document's creation time). Without them the
+ * inbox queries and the unread badge never match these items. Items that already have a
+ * field keep it, so the script can be re-run safely.
+ *
+ *   npm run mailbox:backfill
+ */
+const { db } = require('../config/firebase');
+const admin = require('firebase-admin');
+
+const PAGE_SIZE = 300; // Below Firestore's 500 writes per batch
+
+function missingFields(doc) {
+  const item = doc.data();
+  const fields = {};
+  if (item.read === undefined) fields.read = false;
+  if (item.archived === undefined) fields.archived = false;
+  if (!item.createdAt) fields.createdAt = doc.createTime;
+  return fields;
+}
+
+async function main() {
+  const baseQuery = db.collectionGroup('ads').orderBy(admin.firestore.FieldPath.documentId());
+  let scanned = 0;
+  let updated = 0;
+  let lastDoc = null;
+  for (;;) {
+    const page = lastDoc ? baseQuery.startAfter(lastDoc) : baseQuery;
+    const snapshot = await page.limit(PAGE_SIZE).get();
+    if (snapshot.empty) break;
+    lastDoc = snapshot.docs[snapshot.size - 1];
+
+    const batch = db.batch();
+    let writes = 0;
+    snapshot.docs
+      .filter(doc => doc.ref.parent.parent?.parent.id === 'mailboxes')
+      .forEach((doc) => {
+        scanned++;
+        const fields = missingFields(doc);
+        if (Object.keys(fields).length) {
+          batch.update(doc.ref, fields);
+          writes++;
+        }
+      });
+    if (writes) await batch.commit();
+    updated += writes;
+
+    if (snapshot.size < PAGE_SIZE) break;
+  }
+  console.log(`ok - ${updated} of ${scanned} mailbox items backfilled`);
+}
+
+main()
+  .catch((error) => {
+    console.error('not ok -', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.terminate());
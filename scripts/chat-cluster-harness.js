@@ -0,0 +1,104 @@
+/**
+ * Boots two Socket.IO servers the way app.js does and checks that room broadcasts,
+ * cross-node socket lookups and presence work between them.
+ *
+ *   npm run harness:chat-cluster                        # shared in-memory broker (local stand-in)
+ *   PUBSUB_DRIVER=redis REDIS_URL=... npm run harness:chat-cluster
+ *
+ * The chat controller itself needs Firestore, so each node runs a minimal controller that
+ * trusts handshake.auth.userId; everything below the controller is the production code.
+ */
+const assert = require('assert');
+const http = require('http');
+const { Server } = require('socket.io');
+const { io: connect } = require('socket.io-client');
+const { createBroker } = require('../config/pubsub');
+const { createMemoryBroker } = require('../services/pubsub/memoryBroker');
+const { createBrokerAdapter } = require('../services/pubsub/socketAdapter');
+const { createPresence } = require('../services/pubsub/presence');
+
+const TIMEOUT_MS = 10000;
+
+async function startNode(broker) {
+  const server = http.createServer();
+  const io = new Server(server);
+  io.adapter(createBrokerAdapter(broker, { heartbeatInterval: 200 }));
+  const presence = createPresence(broker, { heartbeatMs: 200 });
+
+  io.on('connection', (socket) => {
+    const { userId } = socket.handshake.auth;
+    const online = presence.connect(userId);
+    socket.on('join', async (room, ack) => {
+      await online;
+      socket.join(room);
+      ack();
+    });
+    socket.on('disconnect', () => online.then(() => presence.disconnect(userId)));
+  });
+
+  await new Promise(resolve => server.listen(0, resolve));
+  return { io, presence, server, url: `http://localhost:${server.address().port}` };
+}
+
+const waitFor = (emitter, event) => new Promise(resolve => emitter.once(event, resolve));
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function main() {
+  const driver = process.env.PUBSUB_DRIVER === 'redis' ? 'redis' : 'memory';
+  // Memory brokers only connect nodes that share the instance; Redis nodes each get their own connection
+  const shared = driver === 'memory' ? createMemoryBroker() : null;
+  const brokers = shared ? [shared, shared] : [await createBroker(), await createBroker()];
+  const [nodeA, nodeB] = await Promise.all(brokers.map(startNode));
+  const clients = [];
+  console.log(`Two nodes up (${driver} broker): ${nodeA.url} ${nodeB.url}`);
+
+  try {
+    const alice = connect(nodeA.url, { auth: { userId: 'alice' }, transports: ['websocket'] });
+    const bob = connect(nodeB.url, { auth: { userId: 'bob' }, transports: ['websocket'] });
+    clients.push(alice, bob);
+    await Promise.all([waitFor(alice, 'connect'), waitFor(bob, 'connect')]);
+    await Promise.all([alice.emitWithAck('join', 'gig-1'), bob.emitWithAck('join', 'gig-1')]);
+    await delay(300); // Let the initial heartbeats settle
+
+    const received = waitFor(bob, 'newMessage');
+    nodeA.io.to('gig-1').emit('newMessage', { text: 'hello from node A' });
+    assert.deepStrictEqual(await received, { text: 'hello from node A' });
+    console.log('ok - broadcast from node A reached a socket on node B');
+
+    const sockets = await nodeB.io.in('gig-1').fetchSockets();
+    assert.strictEqual(sockets.length, 2);
+    console.log('ok - node B sees both sockets in the room');
+
+    assert.deepStrictEqual(await nodeB.presence.isOnline(['alice', 'bob', 'carol']), {
+      alice: true, bob: true, carol: false
+    });
+    console.log('ok - presence is shared across nodes');
+
+    alice.disconnect();
+    await delay(300);
+    assert.deepStrictEqual(await nodeB.presence.isOnline(['alice']), { alice: false });
+    console.log('ok - disconnect on node A is visible from node B');
+  } finally {
+    clients.forEach(client => client.disconnect());
+    for (const node of [nodeA, nodeB]) {
+      await node.presence.close();
+      node.io.close();
+    }
+    await Promise.all([...new Set(brokers)].map(broker => broker.close()));
+  }
+}
+
+const timeout = setTimeout(() => {
+  console.error('not ok - harness timed out');
+  process.exit(1);
+}, TIMEOUT_MS);
+
+main()
+  .then(() => {
+    clearTimeout(timeout);
+    console.log('Chat cluster harness passed');
+  })
+  .catch((error) => {
+    console.error('not ok -', error.message);
+    process.exit(1);
+  });
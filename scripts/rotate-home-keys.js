@@ -0,0 +1,41 @@
+/**
+ * Rotates the data keys that encrypt home privateData and reseals existing records with them.
+ *
+ *   npm run keys:rotate-home                  # every home
+ *   npm run keys:rotate-home -- --home <id>   # one home
+ *
+ * To retire a master key: make the new one HOME_DATA_MASTER_KEY (with a new
+ * HOME_DATA_MASTER_KEY_ID), list the old one in HOME_DATA_OLD_MASTER_KEYS, run this,
+ * then drop the old one from configuration.
+ */
+const { db } = require('../config/firebase');
+const { rotateHomeKey, verifyPrivateData } = require('../services/homeRecords');
+
+async function main() {
+  const flag = process.argv.indexOf('--home');
+  const homeIds = flag !== -1
+    ? [process.argv[flag + 1]]
+    : (await db.collection('homes').select().get()).docs.map(doc => doc.id);
+
+  let failed = 0;
+  for (const homeId of homeIds) {
+    try {
+      const { version, rewritten } = await rotateHomeKey(homeId);
+      // Round trip: everything must decrypt with the keys as stored, not as cached by this run
+      const opened = await verifyPrivateData(homeId);
+      console.log(`ok - ${homeId}: key version ${version}, ${rewritten} documents resealed, ${opened} fields verified`);
+    } catch (error) {
+      failed++;
+      console.error(`not ok - ${homeId}: ${error.message}`);
+    }
+  }
+  console.log(`Rotated ${homeIds.length - failed} of ${homeIds.length} homes`);
+  if (failed) process.exitCode = 1;
+}
+
+main()
+  .catch((error) => {
+    console.error('not ok -', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.terminate());
@@ -0,0 +1,19 @@
+/**
+ * Runs the scheduled jobs once: creates upcoming occurrences of recurring gigs, expires
+ * open gigs past their deadline and settles payouts stuck in processing. For cron, with
+ * SCHEDULER_DISABLED=true on the servers.
+ *
+ *   npm run jobs:run
+ */
+const { db } = require('../config/firebase');
+const { runScheduledJobs } = require('../services/scheduler');
+
+runScheduledJobs()
+  .then(({ generated, expired, payouts }) => {
+    console.log(`ok - ${generated} occurrences created, ${expired} gigs expired, ${payouts} payouts settled`);
+  })
+  .catch((error) => {
+    console.error('not ok -', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.terminate());
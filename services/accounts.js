@@ -0,0 +1,202 @@
+const { db, auth } = require('../config/firebase');
+const admin = require('firebase-admin');
+const logger = require('../logger');
+const { httpError } = require('./errors');
+const { TERMINAL_STATUSES, transitionGig } = require('./gigLifecycle');
+const { getBalance } = require('./wallet');
+const { revokeAllSessions } = require('./sessions');
+const { invitesRef, deleteHome } = require('./homes');
+const { seriesRef, endStandingWork } = require('./gigSeries');
+
+// Stands in for the user id on chat messages of deleted accounts
+const DELETED_USER_ID = 'deleted-user';
+const BATCH_LIMIT = 400;
+
+/**
+ * Apply a profile update. Username and phone uniqueness are checked with queries inside
+ * the transaction, so two users cannot claim the same value at the same time. A new
+ * phone number has to be verified again.
+ */
+async function updateProfile(userId, changes) {
+  const userRef = db.collection('users').doc(userId);
+  const users = db.collection('users');
+
+  const update = await db.runTransaction(async (transaction) => {
+    const [userDoc, usernameTaken, phoneTaken] = await Promise.all([
+      transaction.get(userRef),
+      changes.username ? transaction.get(users.where('username', '==', changes.username).limit(2)) : null,
+      changes.phoneNumber ? transaction.get(users.where('phoneNumber', '==', changes.phoneNumber).limit(2)) : null
+    ]);
+    if (!userDoc.exists) {
+      throw httpError(404, 'User profile not found');
+    }
+    if (usernameTaken?.docs.some(doc => doc.id !== userId)) {
+      throw httpError(409, 'Username already in use');
+    }
+    if (phoneTaken?.docs.some(doc => doc.id !== userId)) {
+      throw httpError(409, 'Phone number already in use');
+    }
+
+    const current = userDoc.data();
+    const next = { ...changes, updatedAt: admin.firestore.FieldValue.serverTimestamp() };
+    if (changes.phoneNumber && changes.phoneNumber !== current.phoneNumber) {
+      next.phoneVerified = false;
+    }
+    if ((changes.firstName || changes.lastName) && !changes.name) {
+      next.name = `${changes.firstName || current.firstName} ${changes.lastName || current.lastName}`;
+    }
+    transaction.update(userRef, next);
+    return next;
+  });
+
+  // Keep Firebase Auth in step with the profile (it also enforces phone uniqueness on its side)
+  const authUpdate = {};
+  if (update.name) authUpdate.displayName = update.name;
+  if (changes.phoneNumber) authUpdate.phoneNumber = changes.phoneNumber;
+  if (changes.avatarUrl !== undefined) authUpdate.photoURL = changes.avatarUrl || null;
+  if (Object.keys(authUpdate).length) {
+    await auth.updateUser(userId, authUpdate).catch((error) => {
+      logger.error('Error syncing profile to auth:', { userId, error: error.message });
+    });
+  }
+  return update;
+}
+
+// Fields anyone may see; everything else on the users document stays private
+async function getPublicProfile(userId) {
+  const userDoc = await db.collection('users').doc(userId).get();
+  if (!userDoc.exists || userDoc.data().deleted) {
+    return null;
+  }
+  const user = userDoc.data();
+  let memberSince = user.createdAt || null;
+  if (!memberSince) {
+    // Older accounts only have their creation time in Firebase Auth
+    const record = await auth.getUser(userId).catch(() => null);
+    memberSince = record ? new Date(record.metadata.creationTime) : null;
+  }
+  const { total, ...reputation } = user.reputation || { average: 0, count: 0, recentReviews: [] };
+  return {
+    id: userDoc.id,
+    name: user.name || null,
+    username: user.username || null,
+    avatarUrl: user.avatarUrl || null,
+    accountType: user.accountType || 'individual',
+    reputation,
+    memberSince
+  };
+}
+
+// Write one update per document, BATCH_LIMIT documents per commit
+async function updateEach(docs, updateFor) {
+  for (let i = 0; i < docs.length; i += BATCH_LIMIT) {
+    const batch = db.batch();
+    docs.slice(i, i + BATCH_LIMIT).forEach(doc => updateFor(batch, doc));
+    await batch.commit();
+  }
+}
+
+/**
+ * Delete an account. Refused while the user still has work or money in flight;
+ * otherwise open gigs are cancelled (closing the bids on them), the user's pending bids
+ * withdrawn, gigs and chat messages anonymized, home memberships given up, personal data
+ * removed and the Firebase Auth user deleted. Reviews and wallet ledgers stay for the other parties' records.
+ */
+async function deleteAccount(userId) {
+  const userRef = db.collection('users').doc(userId);
+  const [posted, worked, balance] = await Promise.all([
+    db.collection('gigs').where('userId', '==', userId).get(),
+    db.collection('gigs').where('acceptedBy', '==', userId).get(),
+    getBalance(userId)
+  ]);
+
+  const busy = [...posted.docs, ...worked.docs]
+    .filter(doc => doc.data().status !== 'open' && !TERMINAL_STATUSES.includes(doc.data().status));
+  if (busy.length) {
+    throw httpError(409, 'Finish or cancel your active gigs before deleting your account');
+  }
+  if (balance.availableCents > 0 || balance.heldCents > 0) {
+    throw httpError(409, 'Pay out your wallet balance before deleting your account');
+  }
+
+  // Sign out everywhere first so nothing new happens while the data is cleaned up
+  await revokeAllSessions(userId, 'account_deleted');
+
+  // Recurring gigs stop before their open occurrences are cancelled, so none are recreated
+  const [ownSeries, standingSeries, standingOffers] = await Promise.all([
+    seriesRef().where('userId', '==', userId).where('status', '==', 'active').get(),
+    seriesRef().where('standingWorkerId', '==', userId).get(),
+    seriesRef().where('standingOfferTo', '==', userId).get()
+  ]);
+  await updateEach(ownSeries.docs, (batch, doc) => batch.update(doc.ref, {
+    status: 'cancelled',
+    cancelReason: 'account_deleted',
+    cancelledAt: admin.firestore.FieldValue.serverTimestamp()
+  }));
+  // Ending standing work also withdraws the occurrence offers held for this user
+  for (const doc of [...standingSeries.docs, ...standingOffers.docs]) {
+    await endStandingWork(doc.id, userId);
+  }
+  const { docs: postedOpen } = await db.collection('gigs').where('userId', '==', userId).where('status', '==', 'open').get();
+
+  // Cancelling also closes the bids on them
+  for (const doc of postedOpen) {
+    await transitionGig(doc.id, { from: 'open', to: 'cancelled', actorId: userId, role: 'poster', note: 'Poster deleted their account' });
+  }
+
+  const [bids, messages, memberships, ownedHomes, invites] = await Promise.all([
+    db.collectionGroup('bids').where('workerId', '==', userId).where('status', '==', 'pending').get(),
+    db.collectionGroup('messages').where('userId', '==', userId).get(),
+    db.collection('homes').where('occupants', 'array-contains', userId).get(),
+    db.collection('homes').where('ownerId', '==', userId).get(),
+    invitesRef().where('inviteeId', '==', userId).where('status', '==', 'pending').get()
+  ]);
+
+  await updateEach(bids.docs, (batch, doc) => {
+    batch.update(doc.ref, { status: 'withdrawn', updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+    batch.update(doc.ref.parent.parent, { bidCount: admin.firestore.FieldValue.increment(-1) });
+  });
+  await updateEach(posted.docs, (batch, doc) => batch.update(doc.ref, {
+    posterDeleted: true,
+    exactLocation: admin.firestore.FieldValue.delete(),
+    exactAddress: admin.firestore.FieldValue.delete()
+  }));
+  await updateEach(worked.docs, (batch, doc) => batch.update(doc.ref, { workerDeleted: true }));
+  await updateEach(messages.docs, (batch, doc) => batch.update(doc.ref, { userId: DELETED_USER_ID }));
+  await updateEach(memberships.docs, (batch, doc) => batch.update(doc.ref, {
+    occupants: admin.firestore.FieldValue.arrayRemove(userId),
+    [`memberRoles.${userId}`]: admin.firestore.FieldValue.delete(),
+    [`accessUntil.${userId}`]: admin.firestore.FieldValue.delete()
+  }));
+  // Owned homes pass to a manager, else a resident; homes with only guests left are deleted
+  const deletedHomeIds = [];
+  await updateEach(ownedHomes.docs, (batch, doc) => {
+    const roles = doc.data().memberRoles || {};
+    const occupants = (doc.data().occupants || []).filter(id => id !== userId);
+    const heir = occupants.find(id => roles[id] === 'manager') || occupants.find(id => roles[id] !== 'guest');
+    if (heir) {
+      batch.update(doc.ref, {
+        ownerId: heir,
+        occupants: admin.firestore.FieldValue.arrayRemove(userId, heir),
+        [`memberRoles.${heir}`]: admin.firestore.FieldValue.delete()
+      });
+    } else {
+      deletedHomeIds.push(doc.id);
+    }
+  });
+  for (const homeId of deletedHomeIds) {
+    await deleteHome(homeId, userId);
+  }
+
+  await updateEach(invites.docs, (batch, doc) => batch.update(doc.ref, { status: 'revoked' }));
+
+  await db.recursiveDelete(db.collection('mailboxes').doc(userId));
+  await db.collection('phoneVerifications').doc(userId).delete();
+  // Tombstone instead of a delete, so reviews and gigs that point here resolve to "deleted"
+  await userRef.set({ deleted: true, deletedAt: admin.firestore.FieldValue.serverTimestamp(), name: 'Deleted user' });
+
+  await auth.deleteUser(userId);
+  logger.info('Account deleted:', { userId, gigs: posted.size + worked.size, messages: messages.size });
+}
+
+module.exports = { DELETED_USER_ID, updateProfile, getPublicProfile, deleteAccount };
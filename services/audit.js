@@ -0,0 +1,30 @@
+const { db } = require('../config/firebase');
+const admin = require('firebase-admin');
+
+const auditRef = () => db.collection('auditLog');
+
+/**
+ * Append an admin action to the audit log. Pass the transaction or batch that performs
+ * the action so both commit together; without one the entry is written on its own.
+ */
+async function recordAudit({ actorId, actorRole, action, targetType, targetId, reason, details = {} }, writer) {
+  const entryRef = auditRef().doc();
+  const entry = {
+    actorId,
+    actorRole,
+    action,
+    targetType,
+    targetId,
+    reason: reason || null,
+    details,
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  };
+  if (writer) {
+    writer.set(entryRef, entry);
+  } else {
+    await entryRef.set(entry);
+  }
+  return entryRef.id;
+}
+
+module.exports = { auditRef, recordAudit };
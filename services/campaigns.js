@@ -0,0 +1,349 @@
+const { db } = require('../config/firebase');
+const admin = require('firebase-admin');
+const { httpError } = require('./errors');
+const { calculateAge } = require('./age');
+const { credit, CURRENCY } = require('./wallet');
+const stripe = require('../config/stripe');
+const { isDefinitiveFailure } = require('./payments');
+const logger = require('../logger');
+
+const USER_PAGE_SIZE = 300;
+const BATCH_LIMIT = 400; // Firestore allows 500 writes per batch
+
+// Firestore 'in' filters take at most 30 values, so only the narrowest location list goes to the query
+function targetingQuery(targeting) {
+  const users = db.collection('users');
+  if (targeting.zipcodes?.length) return users.where('zipcode', 'in', targeting.zipcodes);
+  if (targeting.cities?.length) return users.where('city', 'in', targeting.cities);
+  if (targeting.states?.length) return users.where('state', 'in', targeting.states);
+  return users;
+}
+
+function matchesTargeting(user, targeting) {
+  if (targeting.zipcodes?.length && !targeting.zipcodes.includes(user.zipcode)) return false;
+  if (targeting.cities?.length && !targeting.cities.includes(user.city)) return false;
+  if (targeting.states?.length && !targeting.states.includes(user.state)) return false;
+  if (targeting.minAge || targeting.maxAge) {
+    if (!user.dateOfBirth) return false;
+    const age = calculateAge(user.dateOfBirth);
+    if (targeting.minAge && age < targeting.minAge) return false;
+    if (targeting.maxAge && age > targeting.maxAge) return false;
+  }
+  return true;
+}
+
+/**
+ * Deliver an active campaign's creative to every matching mailbox. The mailbox item id is
+ * the campaign id, so re-running fan-out never delivers twice to the same user.
+ */
+async function fanOutCampaign(campaignId) {
+  const campaignRef = db.collection('campaigns').doc(campaignId);
+  const campaignDoc = await campaignRef.get();
+  const campaign = campaignDoc.data();
+  const baseQuery = targetingQuery(campaign.targeting || {})
+    .orderBy(admin.firestore.FieldPath.documentId());
+
+  let delivered = 0;
+  let lastDoc = null;
+  for (;;) {
+    const page = lastDoc ? baseQuery.startAfter(lastDoc) : baseQuery;
+    const snapshot = await page.limit(USER_PAGE_SIZE).get();
+    if (snapshot.empty) break;
+    lastDoc = snapshot.docs[snapshot.size - 1];
+
+    const recipients = snapshot.docs.filter(doc =>
+      doc.id !== campaign.ownerId && matchesTargeting(doc.data(), campaign.targeting || {})
+    );
+    const existing = recipients.length
+      ? await db.getAll(...recipients.map(doc => db.collection('mailboxes').doc(doc.id).collection('ads').doc(campaignId)))
+      : [];
+    const fresh = recipients.filter((doc, i) => !existing[i].exists);
+
+    for (let i = 0; i < fresh.length; i += BATCH_LIMIT) {
+      const batch = db.batch();
+      const chunk = fresh.slice(i, i + BATCH_LIMIT);
+      chunk.forEach(doc => batch.create(db.collection('mailboxes').doc(doc.id).collection('ads').doc(campaignId), {
+        campaignId,
+        businessId: campaign.ownerId,
+        creative: campaign.creative,
+        read: false,
+        archived: false,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      }));
+      batch.update(campaignRef, { deliveredCount: admin.firestore.FieldValue.increment(chunk.length) });
+      await batch.commit();
+      delivered += chunk.length;
+    }
+
+    if (snapshot.size < USER_PAGE_SIZE) break;
+  }
+
+  await campaignRef.update({ lastDeliveredAt: admin.firestore.FieldValue.serverTimestamp() });
+  return delivered;
+}
+
+// A charge still marked in flight after this long was left by a request that died part-way
+const CHARGE_STALE_MS = 10 * 60 * 1000;
+
+// Claim the next charge, or pick up one a failed request left in flight
+function claimFunding(transaction, campaignRef, campaign) {
+  const funding = campaign.funding || {};
+  if (funding.status === 'charging') {
+    if (funding.chargingAt && Date.now() - funding.chargingAt.toMillis() < CHARGE_STALE_MS) {
+      throw httpError(409, 'Campaign budget is already being charged');
+    }
+    transaction.update(campaignRef, { 'funding.chargingAt': admin.firestore.FieldValue.serverTimestamp() });
+    return {
+      amount: funding.amountCents ?? campaign.budgetCents - (campaign.fundedCents || 0),
+      attempt: funding.attempts,
+      paymentIntentId: funding.paymentIntentId || null,
+      ownerId: campaign.ownerId
+    };
+  }
+
+  const amount = campaign.budgetCents - (campaign.fundedCents || 0);
+  if (amount <= 0) return null;
+  const attempt = (funding.attempts || 0) + 1;
+  transaction.update(campaignRef, {
+    funding: {
+      ...funding,
+      status: 'charging',
+      attempts: attempt,
+      amountCents: amount,
+      paymentIntentId: null,
+      chargingAt: admin.firestore.FieldValue.serverTimestamp()
+    }
+  });
+  return { amount, attempt, paymentIntentId: null, ownerId: campaign.ownerId };
+}
+
+/**
+ * Charge the business's saved payment method for the unfunded part of a campaign budget.
+ * Views are only ever paid out of funded budget. A charge in flight blocks a second one,
+ * and each attempt has its own idempotency key so a declined card can be retried.
+ *
+ * The payment intent is saved before it is confirmed, so a charge whose request failed
+ * before it was recorded is finished by the next call once CHARGE_STALE_MS has passed,
+ * instead of leaving the campaign `charging` for good. An unconfirmed intent never moves
+ * money, so losing one before its id was saved only costs the attempt.
+ */
+async function fundCampaign(campaignId) {
+  const campaignRef = db.collection('campaigns').doc(campaignId);
+  const claim = await db.runTransaction(async (transaction) => {
+    const campaignDoc = await transaction.get(campaignRef);
+    return claimFunding(transaction, campaignRef, campaignDoc.data());
+  });
+  if (!claim) return { chargedCents: 0 };
+
+  const { amount, attempt, ownerId } = claim;
+  const markFailed = () => campaignRef.update({ 'funding.status': 'failed' });
+  const ownerDoc = await db.collection('users').doc(ownerId).get();
+  const owner = ownerDoc.exists ? ownerDoc.data() : {};
+  if (!claim.paymentIntentId && (!owner.stripeCustomerId || !owner.defaultPaymentMethodId)) {
+    await markFailed();
+    throw httpError(402, 'Add a payment method before activating a campaign');
+  }
+
+  let intent;
+  try {
+    if (claim.paymentIntentId) {
+      intent = await stripe.paymentIntents.retrieve(claim.paymentIntentId);
+    } else {
+      intent = await stripe.paymentIntents.create({
+        amount,
+        currency: CURRENCY,
+        customer: owner.stripeCustomerId,
+        payment_method: owner.defaultPaymentMethodId,
+        metadata: { campaignId, ownerId }
+      }, { idempotencyKey: `campaign-${campaignId}-${attempt}` });
+      await campaignRef.update({ 'funding.paymentIntentId': intent.id });
+    }
+    if (intent.status === 'requires_confirmation') {
+      intent = await stripe.paymentIntents.confirm(intent.id, { off_session: true }, {
+        idempotencyKey: `campaign-${campaignId}-${attempt}-confirm`
+      });
+    }
+  } catch (error) {
+    if (!isDefinitiveFailure(error)) {
+      logger.error('Campaign budget charge outcome unknown, left for retry:', { campaignId, error: error.message });
+      throw httpError(502, 'Campaign budget charge did not complete, please retry in a few minutes');
+    }
+    logger.error('Campaign budget charge failed:', { campaignId, error: error.message });
+    await markFailed();
+    throw httpError(402, 'Campaign budget charge failed');
+  }
+  if (intent.status !== 'succeeded') {
+    // Views cannot be paid from money that may still not arrive
+    await stripe.paymentIntents.cancel(intent.id).catch(() => null);
+    await markFailed();
+    throw httpError(402, 'Campaign budget charge did not complete');
+  }
+
+  // Recorded only while this intent is still the one in flight, so a resumed charge that
+  // another request already recorded is not counted twice
+  await db.runTransaction(async (transaction) => {
+    const current = await transaction.get(campaignRef);
+    const { funding } = current.data();
+    if (funding?.status !== 'charging' || funding.paymentIntentId !== intent.id) return;
+    transaction.update(campaignRef, {
+      fundedCents: admin.firestore.FieldValue.increment(amount),
+      'funding.status': 'funded',
+      'funding.fundedAt': admin.firestore.FieldValue.serverTimestamp()
+    });
+    transaction.set(campaignRef.collection('payments').doc(intent.id), {
+      type: 'budget_charge',
+      amount,
+      currency: CURRENCY,
+      stripeId: intent.id,
+      status: intent.status,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  });
+  logger.info('Campaign budget funded:', { campaignId, amount, paymentIntentId: intent.id });
+  return { chargedCents: amount };
+}
+
+/**
+ * Record a user viewing a mailbox ad. The first paid view of a campaign by a user credits
+ * them the per-view price and debits the funded budget in one transaction; repeat views and
+ * views while the campaign is inactive or out of budget are recorded but not paid.
+ */
+async function recordAdView(userId, adId) {
+  const adRef = db.collection('mailboxes').doc(userId).collection('ads').doc(adId);
+
+  return db.runTransaction(async (transaction) => {
+    const adDoc = await transaction.get(adRef);
+    if (!adDoc.exists) {
+      throw httpError(404, 'Ad not found');
+    }
+    const { campaignId } = adDoc.data();
+    if (!campaignId) {
+      return { credited: false, amountCents: 0, reason: 'not_paid' };
+    }
+
+    const campaignRef = db.collection('campaigns').doc(campaignId);
+    const viewRef = campaignRef.collection('views').doc(userId); // One paid view per user
+    const [campaignDoc, viewDoc] = await Promise.all([transaction.get(campaignRef), transaction.get(viewRef)]);
+    if (viewDoc.exists) {
+      return { credited: false, amountCents: 0, reason: 'already_viewed' };
+    }
+    if (!campaignDoc.exists) {
+      return { credited: false, amountCents: 0, reason: 'not_paid' };
+    }
+
+    const campaign = campaignDoc.data();
+    // Only money actually charged to the business can be paid out
+    const remaining = (campaign.fundedCents || 0) - campaign.spentCents;
+    const payable = campaign.status === 'active' && remaining >= campaign.pricePerViewCents;
+    const amountCents = payable ? campaign.pricePerViewCents : 0;
+
+    transaction.update(adRef, { viewedAt: admin.firestore.FieldValue.serverTimestamp() });
+    const campaignUpdate = {};
+    if (!adDoc.data().viewedAt) {
+      campaignUpdate.viewCount = admin.firestore.FieldValue.increment(1);
+    }
+    if (payable) {
+      // Marked only when paid, so a view of a paused campaign does not forfeit a later paid view
+      transaction.set(viewRef, { userId, adId, amountCents, createdAt: admin.firestore.FieldValue.serverTimestamp() });
+      campaignUpdate.spentCents = admin.firestore.FieldValue.increment(amountCents);
+      if (remaining - amountCents < campaign.pricePerViewCents) {
+        campaignUpdate.status = 'exhausted';
+      }
+      credit(transaction, userId, amountCents, {
+        source: 'ad_view',
+        reference: { campaignId, adId },
+        description: campaign.name
+      });
+    }
+    if (Object.keys(campaignUpdate).length) {
+      transaction.update(campaignRef, campaignUpdate);
+    }
+
+    if (payable) return { credited: true, amountCents };
+    return { credited: false, amountCents: 0, reason: campaign.status === 'active' ? 'budget_exhausted' : 'campaign_inactive' };
+  });
+}
+
+/**
+ * Give back the unspent budget of a removed campaign, spread over its budget charges.
+ * Each charge is refunded under its own idempotency key, so a failed run can be repeated.
+ */
+async function refundUnspentBudget(campaignRef) {
+  const campaignDoc = await campaignRef.get();
+  const { refund } = campaignDoc.data();
+  if (!refund || refund.status === 'refunded') return 0;
+
+  const payments = await campaignRef.collection('payments').get();
+  const charges = payments.docs.filter(doc => doc.data().type === 'budget_charge');
+  let remaining = refund.amountCents;
+  const batch = db.batch();
+  for (const doc of charges) {
+    if (remaining <= 0) break;
+    const amount = Math.min(remaining, doc.data().amount);
+    const stripeRefund = await stripe.refunds.create({
+      payment_intent: doc.data().stripeId,
+      amount,
+      metadata: { campaignId: campaignRef.id }
+    }, { idempotencyKey: `campaign-refund-${campaignRef.id}-${doc.id}` });
+    batch.set(campaignRef.collection('payments').doc(stripeRefund.id), {
+      type: 'budget_refund',
+      amount,
+      currency: CURRENCY,
+      stripeId: stripeRefund.id,
+      status: stripeRefund.status,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    remaining -= amount;
+  }
+  batch.update(campaignRef, {
+    'refund.status': 'refunded',
+    'refund.refundedAt': admin.firestore.FieldValue.serverTimestamp()
+  });
+  await batch.commit();
+  return refund.amountCents;
+}
+
+/**
+ * Take a campaign down: it can no longer be delivered, viewed for pay or reactivated, and
+ * every mailbox copy is deleted. The budget it had not spent is refunded to the business
+ * (a paused campaign keeps its budget, since it can be activated again). A refund that
+ * fails stays pending and is retried by removing the campaign again.
+ */
+async function removeCampaign(campaignId, { reason, removedBy }) {
+  const campaignRef = db.collection('campaigns').doc(campaignId);
+  // Views stop being paid with the status change, so the unspent amount is final once it commits
+  await db.runTransaction(async (transaction) => {
+    const campaignDoc = await transaction.get(campaignRef);
+    const campaign = campaignDoc.data();
+    const unspent = (campaign.fundedCents || 0) - (campaign.spentCents || 0);
+    transaction.update(campaignRef, {
+      status: 'removed',
+      removedReason: reason || null,
+      removedBy,
+      removedAt: admin.firestore.FieldValue.serverTimestamp(),
+      ...(!campaign.refund && unspent > 0 ? { refund: { status: 'pending', amountCents: unspent } } : {})
+    });
+  });
+
+  const itemsQuery = db.collectionGroup('ads').where('campaignId', '==', campaignId).limit(BATCH_LIMIT);
+  let removedItems = 0;
+  for (;;) {
+    const snapshot = await itemsQuery.get();
+    if (snapshot.empty) break;
+    const batch = db.batch();
+    snapshot.docs.forEach(doc => batch.delete(doc.ref));
+    await batch.commit();
+    removedItems += snapshot.size;
+  }
+
+  let refundedCents = 0;
+  try {
+    refundedCents = await refundUnspentBudget(campaignRef);
+  } catch (error) {
+    logger.error('Campaign budget refund failed, left pending:', { campaignId, error: error.message });
+    return { removedItems, refundedCents, refundPending: true };
+  }
+  return { removedItems, refundedCents, refundPending: false };
+}
+
+module.exports = { fanOutCampaign, fundCampaign, recordAdView, removeCampaign, matchesTargeting };
@@ -0,0 +1,259 @@
+const { db } = require('../config/firebase');
+const admin = require('firebase-admin');
+const { httpError } = require('./errors');
+const { roleFor } = require('./gigLifecycle');
+const Joi = require('joi');
+const logger = require('../logger');
+
+const DEFAULT_PAGE_SIZE = 30;
+const MAX_PAGE_SIZE = 100;
+const MAX_UNREAD_CHATS = 50; // Count queries per unread-count request
+const READ_BATCH = 100;
+
+const MESSAGE_TYPES = ['text', 'image', 'file', 'location', 'system'];
+
+// What clients may send; 'system' messages are only ever written by the server
+const messageSchema = Joi.object({
+  type: Joi.string().valid('text', 'image', 'file', 'location').default('text'),
+  message: Joi.string().trim().max(4000)
+    .when('type', { is: 'text', then: Joi.required(), otherwise: Joi.optional().allow('') }), // Caption for non-text
+  attachment: Joi.object({
+    url: Joi.string().uri({ scheme: ['https', 'http'] }).required(),
+    name: Joi.string().max(255).required(),
+    mimeType: Joi.string().pattern(/^[\w.+-]+\/[\w.+-]+$/).required(),
+    size: Joi.number().integer().positive().max(25 * 1024 * 1024).optional(), // Bytes
+    width: Joi.number().integer().positive().optional(),
+    height: Joi.number().integer().positive().optional()
+  }).when('type', { is: Joi.valid('image', 'file'), then: Joi.required(), otherwise: Joi.forbidden() }),
+  location: Joi.object({
+    latitude: Joi.number().min(-90).max(90).required(),
+    longitude: Joi.number().min(-180).max(180).required(),
+    label: Joi.string().max(200).optional()
+  }).when('type', { is: 'location', then: Joi.required(), otherwise: Joi.forbidden() })
+});
+
+// System message text per gig status, so the chat log reads as a timeline of the job
+const STATUS_ANNOUNCEMENTS = {
+  open: 'The gig is open again',
+  accepted: 'The gig was accepted',
+  in_progress: 'Work has started',
+  submitted: 'Work was submitted for review',
+  completed: 'The gig was completed',
+  cancelled: 'The gig was cancelled',
+  disputed: 'The gig was disputed',
+  expired: 'The gig expired'
+};
+
+// Set by the socket controller so server-side events can reach gig rooms
+let io = null;
+const attachIo = (server) => {
+  io = server;
+};
+
+const messagesRef = (gigId) => db.collection(`chats/${gigId}/messages`);
+// Per-user pointers: the newest message each participant has had delivered and has read
+const readStateRef = (gigId, userId) => db.collection(`chats/${gigId}/readState`).doc(userId);
+// Chat summary: lastMessageAt lets unread counts skip chats with nothing new
+const chatRef = (gigId) => db.collection('chats').doc(gigId);
+
+// Only the poster and the assigned worker may read or write a gig's chat
+async function assertChatAccess(gigId, userId) {
+  if (typeof gigId !== 'string' || !gigId) {
+    throw httpError(400, 'gigId is required');
+  }
+  const gigDoc = await db.collection('gigs').doc(gigId).get();
+  if (!gigDoc.exists) {
+    throw httpError(404, 'Gig not found');
+  }
+  if (!roleFor(gigDoc.data(), userId)) {
+    throw httpError(403, 'Not allowed to access this chat');
+  }
+  return gigDoc.data();
+}
+
+/**
+ * One page of history, walking backwards from `before` (a message id) or from the
+ * newest message. Messages come back oldest first so clients can prepend the page.
+ */
+async function fetchHistory(gigId, { before, limit } = {}) {
+  const pageSize = Math.max(1, Math.min(Number(limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE));
+  let query = messagesRef(gigId).orderBy('timestamp', 'desc');
+  if (before) {
+    const beforeDoc = await messagesRef(gigId).doc(before).get();
+    if (!beforeDoc.exists) {
+      throw httpError(400, 'Unknown message id for before');
+    }
+    query = query.startAfter(beforeDoc);
+  }
+
+  // Fetch one extra to know whether an older page exists
+  const snapshot = await query.limit(pageSize + 1).get();
+  const docs = snapshot.docs.slice(0, pageSize);
+  const messages = docs.map(doc => ({ id: doc.id, ...doc.data() })).reverse();
+  return {
+    gigId,
+    messages,
+    receipts: await getReceipts(gigId),
+    hasMore: snapshot.size > pageSize,
+    before: messages.length ? messages[0].id : null
+  };
+}
+
+// Validate a client payload into a storable message body; plain strings are text messages
+function parseMessage(payload) {
+  const input = typeof payload === 'string' ? { message: payload } : payload;
+  const { error, value } = messageSchema.validate(input, { stripUnknown: true });
+  if (error) {
+    throw httpError(400, error.details[0].message);
+  }
+  return value;
+}
+
+// Sending a message means everything before it has been seen, so the sender's pointers move too
+async function saveMessage(gigId, userId, body) {
+  const msgData = { ...body, userId, timestamp: new Date() };
+  const msgRef = messagesRef(gigId).doc();
+  const batch = db.batch();
+  batch.set(msgRef, msgData);
+  batch.set(readStateRef(gigId, userId), {
+    lastDeliveredMessageId: msgRef.id,
+    lastDeliveredAt: msgData.timestamp,
+    lastReadMessageId: msgRef.id,
+    lastReadAt: msgData.timestamp,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  }, { merge: true });
+  batch.set(chatRef(gigId), { lastMessageAt: msgData.timestamp }, { merge: true });
+  await batch.commit();
+  return { id: msgRef.id, gigId, ...msgData };
+}
+
+/**
+ * Write a server-authored message into a gig's chat and broadcast it to the room.
+ * Never throws: a missed announcement must not fail the action that triggered it.
+ */
+async function postSystemMessage(gigId, { event, message, ...meta }) {
+  try {
+    const msgData = { type: 'system', userId: null, event, message, ...meta, timestamp: new Date() };
+    const msgRef = messagesRef(gigId).doc();
+    const batch = db.batch();
+    batch.set(msgRef, msgData);
+    batch.set(chatRef(gigId), { lastMessageAt: msgData.timestamp }, { merge: true });
+    await batch.commit();
+    const saved = { id: msgRef.id, gigId, ...msgData };
+    if (io) io.to(gigId).emit('newMessage', saved);
+    return saved;
+  } catch (error) {
+    logger.error('Error posting system message:', { error: error.message, gigId, event });
+    return null;
+  }
+}
+
+const announceStatus = (gigId, status, actorId) => postSystemMessage(gigId, {
+  event: 'status_changed',
+  status,
+  actorId: actorId || null,
+  message: STATUS_ANNOUNCEMENTS[status] || `Gig status changed to ${status}`
+});
+
+// Receipt pointers of every participant, keyed by user id
+async function getReceipts(gigId) {
+  const snapshot = await db.collection(`chats/${gigId}/readState`).get();
+  const receipts = {};
+  snapshot.docs.forEach(doc => {
+    const { lastDeliveredMessageId = null, lastReadMessageId = null } = doc.data();
+    receipts[doc.id] = { lastDeliveredMessageId, lastReadMessageId };
+  });
+  return receipts;
+}
+
+/**
+ * Move a user's delivered or read pointer up to messageId. Pointers only move forward;
+ * marking as read also marks as delivered. Resolves null when nothing changed.
+ */
+async function advancePointer(gigId, userId, messageId, kind) {
+  if (typeof messageId !== 'string' || !messageId) {
+    throw httpError(400, 'messageId is required');
+  }
+  const stateRef = readStateRef(gigId, userId);
+  return db.runTransaction(async (transaction) => {
+    const [msgDoc, stateDoc] = await Promise.all([
+      transaction.get(messagesRef(gigId).doc(messageId)),
+      transaction.get(stateRef)
+    ]);
+    if (!msgDoc.exists) {
+      throw httpError(404, 'Message not found');
+    }
+
+    const at = msgDoc.data().timestamp;
+    const state = stateDoc.exists ? stateDoc.data() : {};
+    const isNewer = (current) => !current || at.toMillis() > current.toMillis();
+    const update = {};
+    if (isNewer(state.lastDeliveredAt)) {
+      update.lastDeliveredMessageId = messageId;
+      update.lastDeliveredAt = at;
+    }
+    if (kind === 'read' && isNewer(state.lastReadAt)) {
+      update.lastReadMessageId = messageId;
+      update.lastReadAt = at;
+    }
+    if (!Object.keys(update).length) return null;
+
+    transaction.set(stateRef, { ...update, updatedAt: admin.firestore.FieldValue.serverTimestamp() }, { merge: true });
+    return { gigId, userId, messageId, at };
+  });
+}
+
+/**
+ * Unread messages per gig chat the user takes part in. Everything after the read pointer
+ * counts, since sending a message moves the sender's own pointer past it. Chat summaries
+ * and read pointers are read in batches, and only chats with newer messages are counted,
+ * the most recently active first and at most MAX_UNREAD_CHATS of them (`truncated` says so).
+ */
+async function countUnread(userId) {
+  const [posted, assigned] = await Promise.all([
+    db.collection('gigs').where('userId', '==', userId).select().get(),
+    db.collection('gigs').where('acceptedBy', '==', userId).select().get()
+  ]);
+  const gigIds = [...new Set([...posted.docs, ...assigned.docs].map(doc => doc.id))];
+
+  const candidates = [];
+  for (let i = 0; i < gigIds.length; i += READ_BATCH) {
+    const ids = gigIds.slice(i, i + READ_BATCH);
+    const docs = await db.getAll(...ids.map(chatRef), ...ids.map(gigId => readStateRef(gigId, userId)));
+    ids.forEach((gigId, j) => {
+      const lastMessageAt = docs[j].exists ? docs[j].data().lastMessageAt : null;
+      const stateDoc = docs[ids.length + j];
+      const lastReadAt = stateDoc.exists ? stateDoc.data().lastReadAt : null;
+      // Chats from before summaries existed have no lastMessageAt and are always counted
+      if (lastMessageAt && lastReadAt && lastMessageAt.toMillis() <= lastReadAt.toMillis()) return;
+      candidates.push({ gigId, lastMessageAt, lastReadAt });
+    });
+  }
+  candidates.sort((a, b) => (b.lastMessageAt?.toMillis() || 0) - (a.lastMessageAt?.toMillis() || 0));
+
+  const chats = await Promise.all(candidates.slice(0, MAX_UNREAD_CHATS).map(async ({ gigId, lastReadAt }) => {
+    const query = lastReadAt ? messagesRef(gigId).where('timestamp', '>', lastReadAt) : messagesRef(gigId);
+    const count = await query.count().get();
+    return { gigId, unread: count.data().count };
+  }));
+
+  const unreadChats = chats.filter(chat => chat.unread > 0);
+  return {
+    total: unreadChats.reduce((sum, chat) => sum + chat.unread, 0),
+    chats: unreadChats,
+    truncated: candidates.length > MAX_UNREAD_CHATS
+  };
+}
+
+module.exports = {
+  MESSAGE_TYPES,
+  attachIo,
+  assertChatAccess,
+  fetchHistory,
+  parseMessage,
+  saveMessage,
+  postSystemMessage,
+  announceStatus,
+  advancePointer,
+  countUnread
+};
@@ -0,0 +1,65 @@
+const nodemailer = require('nodemailer');
+const logger = require('../logger');
+
+const FROM = process.env.EMAIL_FROM || '"Oodoo" <no-reply@oodoo.com>';
+
+let transporter = null;
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,  // e.g., 'smtp.gmail.com'
+      port: process.env.SMTP_PORT || 587,
+      secure: false,
+      auth: {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      }
+    });
+  }
+  return transporter;
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Every outgoing email is one of these; each gets the data it needs and returns subject, html and text
+const TEMPLATES = {
+  verifyEmail: ({ link }) => ({
+    subject: 'Verify Your Email for Oodoo',
+    html: `<p>Hello,</p><p>Please verify your email by clicking <a href="${escapeHtml(link)}">here</a>.</p><p>If you didn't request this, ignore it.</p>`,
+    text: `Hello,\n\nPlease verify your email by opening this link:\n${link}\n\nIf you didn't request this, ignore it.`
+  }),
+  passwordReset: ({ link }) => ({
+    subject: 'Reset Your Oodoo Password',
+    html: `<p>Hello,</p><p>Someone asked to reset the password for your Oodoo account. Click <a href="${escapeHtml(link)}">here</a> to choose a new one.</p><p>If it wasn't you, ignore this email; your password stays the same.</p>`,
+    text: `Hello,\n\nSomeone asked to reset the password for your Oodoo account. Open this link to choose a new one:\n${link}\n\nIf it wasn't you, ignore this email; your password stays the same.`
+  }),
+  emailChange: ({ link, newEmail }) => ({
+    subject: 'Confirm Your New Oodoo Email',
+    html: `<p>Hello,</p><p>Click <a href="${escapeHtml(link)}">here</a> to make ${escapeHtml(newEmail)} the email address of your Oodoo account.</p><p>If you didn't request this, ignore it.</p>`,
+    text: `Hello,\n\nOpen this link to make ${newEmail} the email address of your Oodoo account:\n${link}\n\nIf you didn't request this, ignore it.`
+  }),
+  emailChangeRequested: ({ newEmail }) => ({
+    subject: 'Your Oodoo Email Is Being Changed',
+    html: `<p>Hello,</p><p>A change of your Oodoo account email to ${escapeHtml(newEmail)} was requested. It takes effect once the new address is confirmed.</p><p>If this wasn't you, reset your password right away.</p>`,
+    text: `Hello,\n\nA change of your Oodoo account email to ${newEmail} was requested. It takes effect once the new address is confirmed.\n\nIf this wasn't you, reset your password right away.`
+  })
+};
+
+async function sendEmail(template, to, data = {}) {
+  const render = TEMPLATES[template];
+  if (!render) {
+    throw new Error(`Unknown email template: ${template}`);
+  }
+  const { subject, html, text } = render(data);
+  await getTransporter().sendMail({ from: FROM, to, subject, html, text });
+  logger.info('Email sent:', { template, to });
+}
+
+// Where Firebase action links send the user after the action completes
+const actionCodeSettings = () => (process.env.APP_URL ? { url: `${process.env.APP_URL}/auth/action` } : undefined);
+
+module.exports = { TEMPLATES, sendEmail, actionCodeSettings };
@@ -0,0 +1,4 @@
+// Error carrying the HTTP status a route should answer with
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+module.exports = { httpError };
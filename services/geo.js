@@ -0,0 +1,45 @@
+const { geohashForLocation, geohashQueryBounds, distanceBetween } = require('geofire-common');
+
+// Round to 1 decimal place (~11km accuracy) so the public location never pinpoints the job
+const blurCoordinate = (value) => Math.round(value * 10) / 10;
+
+const geohashFor = (latitude, longitude) => geohashForLocation([latitude, longitude]);
+
+// Kilometres between two { latitude, longitude } points (GeoPoints work too)
+const distanceKm = (a, b) => distanceBetween([a.latitude, a.longitude], [b.latitude, b.longitude]);
+
+/**
+ * Run one range query per geohash bound around center and merge the matches.
+ * buildQuery receives the base collection query so callers can add equality filters.
+ */
+async function queryWithinRadius(buildQuery, center, radiusKm) {
+  const bounds = geohashQueryBounds([center.latitude, center.longitude], radiusKm * 1000);
+  const snapshots = await Promise.all(bounds.map(([start, end]) =>
+    buildQuery().orderBy('geohash').startAt(start).endAt(end).get()
+  ));
+
+  // Adjacent bounds can overlap, so dedupe by document id
+  const docs = new Map();
+  snapshots.forEach(snapshot => snapshot.docs.forEach(doc => docs.set(doc.id, doc)));
+  return [...docs.values()];
+}
+
+// Center and covering radius of a map viewport
+function boxToCircle({ north, south, east, west }) {
+  const center = { latitude: (north + south) / 2, longitude: (east + west) / 2 };
+  const radiusKm = distanceKm(center, { latitude: north, longitude: east });
+  return { center, radiusKm };
+}
+
+const inBox = (point, { north, south, east, west }) =>
+  point.latitude <= north && point.latitude >= south &&
+  point.longitude <= east && point.longitude >= west;
+
+module.exports = {
+  blurCoordinate,
+  geohashFor,
+  distanceKm,
+  queryWithinRadius,
+  boxToCircle,
+  inBox
+};
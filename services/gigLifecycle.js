@@ -0,0 +1,238 @@
+const { db } = require('../config/firebase');
+const admin = require('firebase-admin');
+const { httpError } = require('./errors');
+
+const STATUSES = ['open', 'accepted', 'in_progress', 'submitted', 'completed', 'cancelled', 'disputed', 'expired'];
+const TERMINAL_STATUSES = ['completed', 'cancelled', 'expired'];
+
+// from -> to -> roles allowed to make that move. 'system' is reserved for background jobs,
+// 'moderator' for staff force-cancelling through the admin API.
+const TRANSITIONS = {
+  open: { accepted: ['worker'], cancelled: ['poster', 'moderator'], expired: ['system'] },
+  accepted: { in_progress: ['worker'], cancelled: ['poster', 'moderator'] },
+  in_progress: { submitted: ['worker'], disputed: ['poster', 'worker'], cancelled: ['moderator'] },
+  submitted: { completed: ['poster'], in_progress: ['poster'], disputed: ['poster', 'worker'], cancelled: ['moderator'] },
+  disputed: { completed: ['poster', 'system'], cancelled: ['system', 'moderator'] },
+  completed: {},
+  cancelled: {},
+  expired: {}
+};
+
+// Gig field stamped when a status is entered
+const STATUS_TIMESTAMPS = {
+  accepted: 'acceptedAt',
+  in_progress: 'startedAt',
+  submitted: 'submittedAt',
+  completed: 'completedAt',
+  cancelled: 'cancelledAt',
+  disputed: 'disputedAt',
+  expired: 'expiredAt'
+};
+
+const roleFor = (gigData, userId) => {
+  if (gigData.userId === userId) return 'poster';
+  if (gigData.acceptedBy && gigData.acceptedBy === userId) return 'worker';
+  return null;
+};
+
+const allowedTransitions = (from, role) =>
+  Object.keys(TRANSITIONS[from] || {}).filter(to => TRANSITIONS[from][to].includes(role));
+
+function assertTransition(from, to, role) {
+  const roles = TRANSITIONS[from]?.[to];
+  if (!roles) {
+    throw httpError(409, `Cannot move gig from ${from} to ${to}`);
+  }
+  if (!roles.includes(role)) {
+    throw httpError(403, `Not allowed to move gig from ${from} to ${to}`);
+  }
+}
+
+function writeHistory(transaction, gigRef, workerId, entry) {
+  const historyRef = gigRef.collection('assignments').doc(workerId).collection('history').doc();
+  transaction.set(historyRef, {
+    ...entry,
+    timestamp: admin.firestore.FieldValue.serverTimestamp()
+  });
+}
+
+/**
+ * Give an open gig to a worker: status, assignment mapping and first history entry,
+ * all inside the caller's transaction.
+ */
+function assignWorker(transaction, gigRef, workerId, changedBy, extra = {}) {
+  transaction.update(gigRef, {
+    ...extra,
+    acceptedBy: workerId,
+    status: 'accepted',
+    acceptedAt: admin.firestore.FieldValue.serverTimestamp(),
+    statusUpdatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    statusUpdatedBy: changedBy
+  });
+
+  // Doc ID as userId
+  transaction.set(gigRef.collection('assignments').doc(workerId), {
+    gigId: gigRef.id,
+    userId: workerId,
+    currentStatus: 'accepted',
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  writeHistory(transaction, gigRef, workerId, { status: 'accepted', from: 'open', changedBy });
+}
+
+// Put a gig back on the market after its escrow charge failed, keeping the attempt in history
+async function revertAssignment(gigId, workerId) {
+  const gigRef = db.collection('gigs').doc(gigId);
+  const assignmentRef = gigRef.collection('assignments').doc(workerId);
+  await db.runTransaction(async (transaction) => {
+    transaction.update(gigRef, {
+      status: 'open',
+      acceptedBy: admin.firestore.FieldValue.delete(),
+      acceptedAt: admin.firestore.FieldValue.delete(),
+      statusUpdatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      statusUpdatedBy: workerId
+    });
+    transaction.update(assignmentRef, {
+      currentStatus: 'payment_failed',
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    writeHistory(transaction, gigRef, workerId, { status: 'payment_failed', from: 'accepted', changedBy: workerId });
+  });
+}
+
+// An open gig that ends untaken closes its pending bids, as when another bid wins
+const CLOSES_BIDS = ['cancelled', 'expired'];
+
+/**
+ * Move a gig to a new status. The current status is re-read inside the transaction,
+ * so a concurrent change since the caller's check fails with a 409. `within` runs in the
+ * same transaction with the fresh gig data, for writes that must commit with the status
+ * change (escrow release, audit entries); it must not read.
+ */
+async function transitionGig(gigId, { from, to, actorId, role, note, within }) {
+  const gigRef = db.collection('gigs').doc(gigId);
+  return db.runTransaction(async (transaction) => {
+    const gigDoc = await transaction.get(gigRef);
+    if (!gigDoc.exists) {
+      throw httpError(404, 'Gig not found');
+    }
+    const gigData = gigDoc.data();
+    if (from && gigData.status !== from) {
+      throw httpError(409, 'Gig status changed, please retry');
+    }
+    assertTransition(gigData.status, to, role);
+    const pendingBids = gigData.status === 'open' && CLOSES_BIDS.includes(to)
+      ? await transaction.get(gigRef.collection('bids').where('status', '==', 'pending'))
+      : null;
+    if (within) within(transaction, gigRef, gigData);
+
+    pendingBids?.docs.forEach(doc => transaction.update(doc.ref, {
+      status: 'closed',
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    }));
+
+    const gigUpdate = {
+      status: to,
+      statusUpdatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      statusUpdatedBy: actorId
+    };
+    if (STATUS_TIMESTAMPS[to]) {
+      gigUpdate[STATUS_TIMESTAMPS[to]] = admin.firestore.FieldValue.serverTimestamp();
+    }
+    transaction.update(gigRef, gigUpdate);
+
+    if (gigData.acceptedBy) {
+      transaction.update(gigRef.collection('assignments').doc(gigData.acceptedBy), {
+        currentStatus: to,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      writeHistory(transaction, gigRef, gigData.acceptedBy, {
+        status: to,
+        from: gigData.status,
+        changedBy: actorId,
+        role,
+        ...(note ? { note } : {})
+      });
+    }
+    return { ...gigData, status: to };
+  });
+}
+
+/**
+ * Undo a transition whose follow-up failed (e.g. a refund Stripe refused), unless the gig
+ * has moved on since. `restore` holds gig fields to put back with the status.
+ */
+async function revertTransition(gigId, { from, to, actorId, note, restore = {} }) {
+  const gigRef = db.collection('gigs').doc(gigId);
+  return db.runTransaction(async (transaction) => {
+    const gigDoc = await transaction.get(gigRef);
+    if (!gigDoc.exists || gigDoc.data().status !== to) return false;
+    const gigData = gigDoc.data();
+
+    const gigUpdate = {
+      ...restore,
+      status: from,
+      statusUpdatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      statusUpdatedBy: actorId
+    };
+    if (STATUS_TIMESTAMPS[to]) {
+      gigUpdate[STATUS_TIMESTAMPS[to]] = admin.firestore.FieldValue.delete();
+    }
+    transaction.update(gigRef, gigUpdate);
+
+    if (gigData.acceptedBy) {
+      transaction.update(gigRef.collection('assignments').doc(gigData.acceptedBy), {
+        currentStatus: from,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      writeHistory(transaction, gigRef, gigData.acceptedBy, { status: from, from: to, changedBy: actorId, role: 'system', note });
+    }
+    return true;
+  });
+}
+
+/**
+ * Full timeline of a gig: creation, then every assignment's history merged by time.
+ * Transitions of a gig that was never assigned only live on the gig document.
+ */
+async function getGigHistory(gigRef, gigData) {
+  const assignments = await gigRef.collection('assignments').get();
+  const histories = await Promise.all(assignments.docs.map(doc =>
+    doc.ref.collection('history').orderBy('timestamp').get()
+  ));
+
+  const timeline = [{ status: 'open', timestamp: gigData.createdAt, changedBy: gigData.userId }];
+  histories.forEach((snapshot, i) => {
+    snapshot.docs.forEach(doc => timeline.push({
+      id: doc.id,
+      workerId: assignments.docs[i].id,
+      ...doc.data()
+    }));
+  });
+  if (assignments.empty && gigData.status !== 'open') {
+    timeline.push({
+      status: gigData.status,
+      from: 'open',
+      timestamp: gigData.statusUpdatedAt,
+      changedBy: gigData.statusUpdatedBy
+    });
+  }
+
+  const millis = (ts) => (ts && typeof ts.toMillis === 'function' ? ts.toMillis() : 0);
+  return timeline.sort((a, b) => millis(a.timestamp) - millis(b.timestamp));
+}
+
+module.exports = {
+  STATUSES,
+  TERMINAL_STATUSES,
+  roleFor,
+  allowedTransitions,
+  assertTransition,
+  assignWorker,
+  revertAssignment,
+  transitionGig,
+  revertTransition,
+  getGigHistory
+};
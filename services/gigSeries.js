@@ -0,0 +1,357 @@
+const { db } = require('../config/firebase');
+const admin = require('firebase-admin');
+const { httpError } = require('./errors');
+const { transitionGig } = require('./gigLifecycle');
+const { can } = require('./homeAccess');
+const { parseRule, occurrencesBetween, nextOccurrence } = require('./recurrence');
+
+// How far ahead occurrences are created, and how long a standing worker has to take one
+const HORIZON_MS = Number(process.env.GIG_SERIES_HORIZON_DAYS || 14) * 24 * 60 * 60 * 1000;
+const STANDING_OFFER_MS = Number(process.env.STANDING_OFFER_HOURS || 48) * 60 * 60 * 1000;
+const GENERATE_BATCH = 200;
+const ACTIVE_STATUSES = ['accepted', 'in_progress', 'submitted', 'disputed'];
+
+const seriesRef = () => db.collection('gigSeries');
+const occurrencesRef = (seriesId) => db.collection('gigs').where('seriesId', '==', seriesId);
+
+// One gig id per series and date, so replicas racing to create the same occurrence cannot duplicate it
+const occurrenceId = (seriesId, date) => `${seriesId}_${date.toISOString().replace(/[-:]/g, '').slice(0, 13)}`;
+
+const hasActiveOffer = (gigData) =>
+  Boolean(gigData.offeredTo) && Boolean(gigData.offerExpiresAt) && gigData.offerExpiresAt.toMillis() > Date.now();
+
+const offerFields = (workerId, date, now) => ({
+  offeredTo: workerId,
+  offerExpiresAt: admin.firestore.Timestamp.fromMillis(Math.min(now.getTime() + STANDING_OFFER_MS, date.getTime()))
+});
+
+async function loadOwnSeries(seriesId, userId) {
+  const seriesDoc = await seriesRef().doc(seriesId).get();
+  if (!seriesDoc.exists) {
+    throw httpError(404, 'Series not found');
+  }
+  if (seriesDoc.data().userId !== userId) {
+    throw httpError(403, 'Not allowed to manage this series');
+  }
+  return { id: seriesDoc.id, ...seriesDoc.data() };
+}
+
+/**
+ * Create occurrences of a series up to the horizon, each an ordinary open gig whose
+ * deadline is the occurrence time. Offers go to the standing worker, if there is one.
+ * Series end once their rule runs out; home series stop if the poster loses the right
+ * to post gigs for the home. Returns how many gigs were created.
+ */
+async function generateOccurrences(seriesId, now = new Date()) {
+  const ref = seriesRef().doc(seriesId);
+  return db.runTransaction(async (transaction) => {
+    const seriesDoc = await transaction.get(ref);
+    if (!seriesDoc.exists || seriesDoc.data().status !== 'active') return 0;
+    const series = seriesDoc.data();
+    const startAt = series.startAt.toDate();
+    const horizonEnd = new Date(now.getTime() + HORIZON_MS);
+
+    if (series.template.homeId) {
+      const homeDoc = await transaction.get(db.collection('homes').doc(series.template.homeId));
+      if (!homeDoc.exists || !can(homeDoc.data(), series.userId, 'gigs:post')) {
+        transaction.update(ref, {
+          status: 'cancelled',
+          cancelReason: 'home_access_lost',
+          cancelledAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return 0;
+      }
+    }
+
+    const from = new Date(Math.max(series.generatedUntil ? series.generatedUntil.toMillis() : startAt.getTime(), now.getTime()));
+    const skipped = new Set(series.skipped || []);
+    const dates = occurrencesBetween(series.rule, startAt, from, horizonEnd)
+      .filter(date => !skipped.has(date.toISOString()));
+    const gigRefs = dates.map(date => db.collection('gigs').doc(occurrenceId(seriesId, date)));
+    const existing = gigRefs.length ? await transaction.getAll(...gigRefs) : [];
+
+    let created = 0;
+    dates.forEach((date, i) => {
+      if (existing[i].exists) return;
+      transaction.set(gigRefs[i], {
+        ...series.template,
+        userId: series.userId,
+        seriesId,
+        occurrenceAt: date,
+        deadline: date,
+        status: 'open',
+        bidCount: 0,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        ...(series.standingWorkerId ? offerFields(series.standingWorkerId, date, now) : {})
+      });
+      created++;
+    });
+
+    const update = {
+      generatedUntil: admin.firestore.Timestamp.fromDate(horizonEnd),
+      occurrenceCount: admin.firestore.FieldValue.increment(created)
+    };
+    if (!nextOccurrence(series.rule, startAt, horizonEnd)) {
+      update.status = 'ended';
+      update.endedAt = admin.firestore.FieldValue.serverTimestamp();
+    }
+    transaction.update(ref, update);
+    return created;
+  });
+}
+
+/**
+ * Start a recurring gig. `template` holds the gig fields every occurrence gets; the first
+ * occurrences are created straight away.
+ */
+async function createSeries(userId, template, { rrule, startAt }) {
+  const rule = parseRule(rrule);
+  const start = new Date(startAt);
+  if (!nextOccurrence(rule, start, start)) {
+    throw httpError(400, 'Recurrence has no occurrences');
+  }
+  const ref = seriesRef().doc();
+  const series = {
+    userId,
+    template,
+    rrule,
+    rule,
+    startAt: admin.firestore.Timestamp.fromDate(start),
+    status: 'active',
+    standingWorkerId: null,
+    skipped: [],
+    generatedUntil: null,
+    occurrenceCount: 0,
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  };
+  await ref.set(series);
+  const created = await generateOccurrences(ref.id);
+  return { id: ref.id, ...series, occurrenceCount: created };
+}
+
+// Series whose horizon has moved on since they were last extended, oldest first; returns gigs created
+async function generateDueSeries(now = new Date()) {
+  const snapshot = await seriesRef()
+    .where('status', '==', 'active')
+    .where('generatedUntil', '<', admin.firestore.Timestamp.fromMillis(now.getTime() + HORIZON_MS))
+    .orderBy('generatedUntil')
+    .limit(GENERATE_BATCH)
+    .get();
+  let created = 0;
+  for (const doc of snapshot.docs) {
+    created += await generateOccurrences(doc.id, now);
+  }
+  return created;
+}
+
+// Upcoming dates of a series that are not skipped, whether or not their gigs exist yet
+function upcomingDates(series, count, now = new Date()) {
+  const skipped = new Set(series.skipped || []);
+  const dates = [];
+  let from = now;
+  while (dates.length < count) {
+    const date = nextOccurrence(series.rule, series.startAt.toDate(), from);
+    if (!date) break;
+    if (!skipped.has(date.toISOString())) dates.push(date);
+    from = new Date(date.getTime() + 1);
+  }
+  return dates;
+}
+
+/**
+ * Skip one future occurrence. If its gig already exists it is cancelled, which only
+ * works while nobody has taken it; accepted occurrences are cancelled like any gig.
+ */
+async function skipOccurrence(seriesId, userId, occurrenceAt) {
+  const series = await loadOwnSeries(seriesId, userId);
+  if (series.status !== 'active') {
+    throw httpError(409, `Series is ${series.status}`);
+  }
+  const date = new Date(occurrenceAt);
+  const startAt = series.startAt.toDate();
+  if (date <= new Date() || !occurrencesBetween(series.rule, startAt, date, new Date(date.getTime() + 1)).length) {
+    throw httpError(400, 'Not an upcoming occurrence of this series');
+  }
+
+  const gigId = occurrenceId(seriesId, date);
+  const gigDoc = await db.collection('gigs').doc(gigId).get();
+  if (gigDoc.exists && !['open', 'cancelled'].includes(gigDoc.data().status)) {
+    throw httpError(409, 'This occurrence has been taken; cancel its gig instead');
+  }
+
+  // Recorded first so the scheduler cannot recreate the gig once it is cancelled
+  await seriesRef().doc(seriesId).update({ skipped: admin.firestore.FieldValue.arrayUnion(date.toISOString()) });
+  if (gigDoc.exists && gigDoc.data().status === 'open') {
+    await transitionGig(gigId, { from: 'open', to: 'cancelled', actorId: userId, role: 'poster', note: 'Occurrence skipped' });
+  }
+  return { gigId: gigDoc.exists ? gigId : null, occurrenceAt: date.toISOString() };
+}
+
+/**
+ * Stop a series: no more occurrences are created and open ones are cancelled. Occurrences
+ * a worker has already taken are left to finish (or be cancelled one by one).
+ */
+async function cancelSeries(seriesId, userId) {
+  const series = await loadOwnSeries(seriesId, userId);
+  if (series.status !== 'active') {
+    throw httpError(409, `Series is ${series.status}`);
+  }
+  await seriesRef().doc(seriesId).update({
+    status: 'cancelled',
+    cancelReason: 'poster',
+    cancelledAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  const [open, active] = await Promise.all([
+    occurrencesRef(seriesId).where('status', '==', 'open').get(),
+    occurrencesRef(seriesId).where('status', 'in', ACTIVE_STATUSES).get()
+  ]);
+  let cancelled = 0;
+  for (const doc of open.docs) {
+    await transitionGig(doc.id, { from: 'open', to: 'cancelled', actorId: userId, role: 'poster', note: 'Series cancelled' })
+      .then(() => { cancelled++; })
+      .catch((error) => {
+        if (error.status !== 409) throw error; // Taken in the meantime
+      });
+  }
+  return { cancelled, stillActive: active.size + open.size - cancelled };
+}
+
+/**
+ * The poster offers standing work on a series to a worker who has completed one of its
+ * occurrences. The worker still has to accept it (acceptStandingWork).
+ */
+async function offerStandingWork(seriesId, posterId, workerId) {
+  const series = await loadOwnSeries(seriesId, posterId);
+  if (series.status !== 'active') {
+    throw httpError(409, `Series is ${series.status}`);
+  }
+  if (series.standingWorkerId) {
+    throw httpError(409, 'Series already has a standing worker');
+  }
+  const completed = await occurrencesRef(seriesId)
+    .where('acceptedBy', '==', workerId)
+    .where('status', '==', 'completed')
+    .limit(1)
+    .get();
+  if (completed.empty) {
+    throw httpError(409, 'Standing work can only be offered to a worker who has completed an occurrence');
+  }
+  await seriesRef().doc(seriesId).update({
+    standingOfferTo: workerId,
+    standingOfferedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+}
+
+/**
+ * The worker the poster offered standing work to takes it: every future occurrence is
+ * offered to them first. Open occurrences that already exist are offered too.
+ */
+async function acceptStandingWork(seriesId, workerId) {
+  const ref = seriesRef().doc(seriesId);
+  await db.runTransaction(async (transaction) => {
+    const seriesDoc = await transaction.get(ref);
+    if (!seriesDoc.exists) {
+      throw httpError(404, 'Series not found');
+    }
+    const { status, standingWorkerId, standingOfferTo } = seriesDoc.data();
+    if (status !== 'active') {
+      throw httpError(409, `Series is ${status}`);
+    }
+    if (standingWorkerId) {
+      throw httpError(409, 'Series already has a standing worker');
+    }
+    if (standingOfferTo !== workerId) {
+      throw httpError(403, 'No standing work offer for you on this series');
+    }
+    transaction.update(ref, {
+      standingWorkerId: workerId,
+      standingSince: admin.firestore.FieldValue.serverTimestamp(),
+      standingOfferTo: admin.firestore.FieldValue.delete(),
+      standingOfferedAt: admin.firestore.FieldValue.delete()
+    });
+  });
+
+  const now = new Date();
+  const open = await occurrencesRef(seriesId).where('status', '==', 'open').get();
+  const batch = db.batch();
+  const offered = open.docs.filter(doc => !hasActiveOffer(doc.data()));
+  offered.forEach(doc => batch.update(doc.ref, offerFields(workerId, doc.data().occurrenceAt.toDate(), now)));
+  await batch.commit();
+  return { offered: offered.length };
+}
+
+/**
+ * End standing work, or a standing work offer nobody accepted yet. The poster, the standing
+ * worker or the offered worker may do it; the worker's outstanding occurrence offers are withdrawn.
+ */
+async function endStandingWork(seriesId, userId) {
+  const ref = seriesRef().doc(seriesId);
+  const seriesDoc = await ref.get();
+  if (!seriesDoc.exists) {
+    throw httpError(404, 'Series not found');
+  }
+  const { userId: posterId, standingWorkerId, standingOfferTo } = seriesDoc.data();
+  if (!standingWorkerId && !standingOfferTo) {
+    throw httpError(409, 'Series has no standing worker');
+  }
+  if (![posterId, standingWorkerId, standingOfferTo].includes(userId)) {
+    throw httpError(403, 'Not allowed to manage this series');
+  }
+
+  await ref.update({
+    standingWorkerId: null,
+    standingSince: admin.firestore.FieldValue.delete(),
+    standingOfferTo: admin.firestore.FieldValue.delete(),
+    standingOfferedAt: admin.firestore.FieldValue.delete()
+  });
+  if (standingWorkerId) {
+    await withdrawOffers(seriesId, standingWorkerId);
+  }
+}
+
+// Open occurrences of a series stop being held for a worker
+async function withdrawOffers(seriesId, workerId) {
+  const offers = await occurrencesRef(seriesId).where('status', '==', 'open').where('offeredTo', '==', workerId).get();
+  const batch = db.batch();
+  offers.docs.forEach(doc => batch.update(doc.ref, {
+    offeredTo: admin.firestore.FieldValue.delete(),
+    offerExpiresAt: admin.firestore.FieldValue.delete()
+  }));
+  await batch.commit();
+}
+
+// The offered worker passes on one occurrence; it opens up to everyone
+async function declineOffer(gigId, workerId) {
+  const gigRef = db.collection('gigs').doc(gigId);
+  await db.runTransaction(async (transaction) => {
+    const gigDoc = await transaction.get(gigRef);
+    if (!gigDoc.exists) {
+      throw httpError(404, 'Gig not found');
+    }
+    const gigData = gigDoc.data();
+    if (gigData.status !== 'open' || gigData.offeredTo !== workerId || !hasActiveOffer(gigData)) {
+      throw httpError(409, 'No open offer for you on this gig');
+    }
+    transaction.update(gigRef, {
+      offeredTo: admin.firestore.FieldValue.delete(),
+      offerExpiresAt: admin.firestore.FieldValue.delete()
+    });
+  });
+}
+
+module.exports = {
+  seriesRef,
+  occurrencesRef,
+  hasActiveOffer,
+  generateOccurrences,
+  createSeries,
+  generateDueSeries,
+  upcomingDates,
+  skipOccurrence,
+  cancelSeries,
+  offerStandingWork,
+  acceptStandingWork,
+  endStandingWork,
+  declineOffer
+};
@@ -0,0 +1,64 @@
+const { httpError } = require('./errors');
+
+// Highest first; a member can only manage members ranked below them
+const HOME_ROLES = ['owner', 'manager', 'resident', 'guest'];
+
+const HOME_PERMISSIONS = {
+  owner: ['home:edit', 'home:delete', 'home:transfer', 'members:invite', 'members:remove', 'members:roles', 'data:policy', 'secrets:audit', 'home:share', 'gigs:post'],
+  manager: ['home:edit', 'members:invite', 'members:remove', 'secrets:audit', 'gigs:post'],
+  resident: ['gigs:post'],
+  guest: []
+};
+
+/**
+ * Who may read and write each kind of home data. Types not listed use `default`; a home
+ * can override single types through its `dataPolicy` field.
+ */
+const DATA_POLICY = {
+  default: { read: ['owner', 'manager', 'resident'], write: ['owner', 'manager', 'resident'] },
+  wifi: { read: ['owner', 'manager', 'resident', 'guest'], write: ['owner', 'manager'] },
+  access_code: { read: ['owner', 'manager', 'resident', 'guest'], write: ['owner', 'manager'] },
+  note: { read: ['owner', 'manager', 'resident', 'guest'], write: ['owner', 'manager', 'resident'] },
+  utility_account: { read: ['owner', 'manager'], write: ['owner', 'manager'] }
+};
+
+const rank = (role) => HOME_ROLES.indexOf(role);
+
+/**
+ * The caller's role in a home, or null for non-members and guests whose access has run
+ * out. Occupants from before roles existed count as residents.
+ */
+function homeRole(homeData, userId) {
+  if (!userId) return null;
+  if (homeData.ownerId === userId) return 'owner';
+  if (!(homeData.occupants || []).includes(userId)) return null;
+
+  const role = homeData.memberRoles?.[userId] || 'resident';
+  const until = homeData.accessUntil?.[userId];
+  if (until && until.toMillis() <= Date.now()) return null;
+  return role;
+}
+
+const can = (homeData, userId, permission) => {
+  const role = homeRole(homeData, userId);
+  return Boolean(role) && HOME_PERMISSIONS[role].includes(permission);
+};
+
+const dataRule = (homeData, type) => homeData.dataPolicy?.[type] || DATA_POLICY[type] || DATA_POLICY.default;
+
+const canAccessData = (homeData, userId, type, mode) => {
+  const role = homeRole(homeData, userId);
+  return Boolean(role) && dataRule(homeData, type)[mode].includes(role);
+};
+
+// Throws 403 unless the caller holds the permission; returns their role
+function assertCan(homeData, userId, permission) {
+  if (!can(homeData, userId, permission)) {
+    throw httpError(403, 'You do not have permission to do this in this home');
+  }
+  return homeRole(homeData, userId);
+}
+
+const outranks = (actorRole, targetRole) => rank(actorRole) < rank(targetRole);
+
+module.exports = { HOME_ROLES, HOME_PERMISSIONS, DATA_POLICY, homeRole, can, canAccessData, assertCan, dataRule, outranks };
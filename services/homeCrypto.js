@@ -0,0 +1,227 @@
+const crypto = require('crypto');
+const { db } = require('../config/firebase');
+const admin = require('firebase-admin');
+const { masterKeys } = require('../config/encryption');
+const { httpError } = require('./errors');
+
+const ALGORITHM = 'aes-256-gcm';
+const DATA_KEY_CACHE_MS = 5 * 60 * 1000;
+
+// Fields stored encrypted in privateData records; everything else stays queryable plaintext
+const SENSITIVE_FIELDS = {
+  wifi: ['password'],
+  access_code: ['code'],
+  utility_account: ['accountNumber']
+};
+
+const homeKeysRef = (homeId) => db.collection('homeKeys').doc(homeId);
+
+function requireMasterKeys() {
+  if (!masterKeys) {
+    throw httpError(500, 'Home data encryption is not configured');
+  }
+  return masterKeys;
+}
+
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const ct = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64'), ct: ct.toString('base64') };
+}
+
+function open(key, { iv, tag, ct }, aad) {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ct, 'base64')), decipher.final()]);
+}
+
+// A data key wrapped by the current master key, bound to its home
+function wrapDataKey(homeId, dataKey) {
+  const { currentId, keys } = requireMasterKeys();
+  return { masterKeyId: currentId, ...seal(keys.get(currentId), dataKey, `home-key:${homeId}`) };
+}
+
+function unwrapDataKey(homeId, wrapped) {
+  const masterKey = requireMasterKeys().keys.get(wrapped.masterKeyId);
+  if (!masterKey) {
+    throw httpError(500, `Master key ${wrapped.masterKeyId} is not configured`);
+  }
+  return open(masterKey, wrapped, `home-key:${homeId}`);
+}
+
+const dataKeyCache = new Map(); // `${homeId}:${version}` -> { key, cachedAt }
+
+// Drop a home's cached keys so the next read unwraps them from Firestore again
+function forgetDataKeys(homeId) {
+  [...dataKeyCache.keys()].filter(id => id.startsWith(`${homeId}:`)).forEach(id => dataKeyCache.delete(id));
+}
+
+function cacheDataKey(homeId, version, key) {
+  dataKeyCache.set(`${homeId}:${version}`, { key, cachedAt: Date.now() });
+}
+
+// Any version of a home's data key (old versions are needed until rotation finishes)
+async function getDataKey(homeId, version) {
+  const cached = dataKeyCache.get(`${homeId}:${version}`);
+  if (cached && Date.now() - cached.cachedAt < DATA_KEY_CACHE_MS) return cached.key;
+
+  const keysDoc = await homeKeysRef(homeId).get();
+  const wrapped = keysDoc.exists && keysDoc.data().keys?.[version];
+  if (!wrapped) {
+    throw httpError(500, `Data key version ${version} is missing for this home`);
+  }
+  const key = unwrapDataKey(homeId, wrapped);
+  cacheDataKey(homeId, version, key);
+  return key;
+}
+
+/**
+ * The key new writes should use, created on first use. Creation runs in a transaction
+ * so concurrent first writes for a home agree on one key.
+ */
+async function getCurrentDataKey(homeId) {
+  const keysDoc = await homeKeysRef(homeId).get();
+  if (keysDoc.exists) {
+    const version = keysDoc.data().currentVersion;
+    return { version, key: await getDataKey(homeId, version) };
+  }
+
+  const dataKey = crypto.randomBytes(32);
+  const created = await db.runTransaction(async (transaction) => {
+    const existing = await transaction.get(homeKeysRef(homeId));
+    if (existing.exists) return null;
+    transaction.set(homeKeysRef(homeId), {
+      currentVersion: 1,
+      keys: { 1: wrapDataKey(homeId, dataKey) },
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return true;
+  });
+  if (!created) return getCurrentDataKey(homeId);
+  cacheDataKey(homeId, 1, dataKey);
+  return { version: 1, key: dataKey };
+}
+
+const isSealed = (value) => Boolean(value && typeof value === 'object' && value.enc === ALGORITHM);
+const fieldAad = (homeId, recordId, field) => `${homeId}:${recordId}:${field}`;
+
+/**
+ * Encrypt the sensitive fields of a record's data with the home's current data key
+ * (from getCurrentDataKey, fetched before any transaction). Values already sealed with
+ * that key version are left alone.
+ */
+async function sealFields(homeId, recordId, type, data, { version, key }) {
+  const fields = (SENSITIVE_FIELDS[type] || []).filter(field => data?.[field] !== undefined && data[field] !== null);
+  if (!fields.length) return data;
+
+  const sealed = { ...data };
+  for (const field of fields) {
+    let value = data[field];
+    if (isSealed(value)) {
+      if (value.kv === version) continue;
+      value = await openField(homeId, recordId, field, value);
+    }
+    sealed[field] = { enc: ALGORITHM, kv: version, ...seal(key, Buffer.from(JSON.stringify(value)), fieldAad(homeId, recordId, field)) };
+  }
+  return sealed;
+}
+
+async function openField(homeId, recordId, field, value) {
+  const key = await getDataKey(homeId, value.kv);
+  return JSON.parse(open(key, value, fieldAad(homeId, recordId, field)).toString());
+}
+
+// Decrypt a record's sensitive fields; returns the data and the names of the fields opened
+async function openFields(homeId, recordId, type, data) {
+  if (!data) return { data, opened: [] };
+  const opened = (SENSITIVE_FIELDS[type] || []).filter(field => isSealed(data[field]));
+  const plain = { ...data };
+  for (const field of opened) {
+    plain[field] = await openField(homeId, recordId, field, data[field]);
+  }
+  return { data: plain, opened };
+}
+
+// For listings: sensitive fields are replaced by a marker and only revealed per record
+function maskFields(type, data) {
+  if (!data) return data;
+  const masked = { ...data };
+  (SENSITIVE_FIELDS[type] || []).forEach((field) => {
+    if (masked[field] !== undefined && masked[field] !== null) masked[field] = { hidden: true };
+  });
+  return masked;
+}
+
+// Who read which secret; written whenever sealed fields are returned decrypted
+async function logSecretAccess(homeId, { userId, recordId, type, fields, via }) {
+  if (!fields.length) return;
+  await db.collection('homes').doc(homeId).collection('secretAccessLog').add({
+    userId,
+    recordId,
+    type,
+    fields,
+    via,
+    accessedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+}
+
+/**
+ * Start a new data key version for a home, wrapped with the current master key.
+ * Returns the new version; records are re-encrypted separately (see rotateHomeKey).
+ */
+async function createDataKeyVersion(homeId) {
+  const dataKey = crypto.randomBytes(32);
+  const version = await db.runTransaction(async (transaction) => {
+    const keysDoc = await transaction.get(homeKeysRef(homeId));
+    const wrapped = wrapDataKey(homeId, dataKey);
+    if (!keysDoc.exists) {
+      transaction.set(homeKeysRef(homeId), {
+        currentVersion: 1,
+        keys: { 1: wrapped },
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        rotatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      return 1;
+    }
+    // update() reads dotted keys as field paths; set() would store a literal "keys.N" field
+    const next = keysDoc.data().currentVersion + 1;
+    transaction.update(homeKeysRef(homeId), {
+      currentVersion: next,
+      [`keys.${next}`]: wrapped,
+      rotatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return next;
+  });
+  cacheDataKey(homeId, version, dataKey);
+  return version;
+}
+
+// Drop every data key version except the current one (once no record needs them)
+async function retireOldDataKeys(homeId) {
+  await db.runTransaction(async (transaction) => {
+    const keysDoc = await transaction.get(homeKeysRef(homeId));
+    if (!keysDoc.exists) return;
+    const { currentVersion, keys } = keysDoc.data();
+    if (!keys?.[currentVersion]) {
+      throw new Error(`Data key version ${currentVersion} is missing for home ${homeId}; old keys were kept`);
+    }
+    transaction.update(homeKeysRef(homeId), { keys: { [currentVersion]: keys[currentVersion] } });
+  });
+  forgetDataKeys(homeId);
+}
+
+module.exports = {
+  SENSITIVE_FIELDS,
+  homeKeysRef,
+  getCurrentDataKey,
+  sealFields,
+  openFields,
+  maskFields,
+  logSecretAccess,
+  createDataKeyVersion,
+  retireOldDataKeys,
+  forgetDataKeys
+};
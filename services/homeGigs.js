@@ -0,0 +1,120 @@
+const { db } = require('../config/firebase');
+const admin = require('firebase-admin');
+const { httpError } = require('./errors');
+const { blurCoordinate, geohashFor } = require('./geo');
+const { homeRole, can, canAccessData } = require('./homeAccess');
+const { getRecord } = require('./homeRecords');
+const { openFields, logSecretAccess } = require('./homeCrypto');
+
+// Record types a poster can read are the only ones they can hand to a worker
+const canShareRecord = (homeData, userId, { scope, type }) =>
+  scope === 'publicData' || canAccessData(homeData, userId, type, 'read');
+
+/**
+ * Gig fields for a household job: the home's address and location, plus the records the
+ * worker will be able to read while the gig runs. The street address and exact location
+ * are shown to the poster and assigned worker only, like exactLocation on other gigs.
+ */
+async function gigFieldsFromHome(homeId, userId, sharedRecords = []) {
+  const homeDoc = await db.collection('homes').doc(homeId).get();
+  if (!homeDoc.exists) {
+    throw httpError(404, 'Home not found');
+  }
+  const homeData = homeDoc.data();
+  if (!can(homeData, userId, 'gigs:post')) {
+    throw httpError(403, 'Only owners and occupants can post gigs for this home');
+  }
+
+  for (const selection of sharedRecords) {
+    const record = await getRecord(homeId, selection.scope, selection.recordId).catch((error) => {
+      throw error.status === 404 ? httpError(400, `Record ${selection.recordId} not found in ${selection.scope}`) : error;
+    });
+    if (!canShareRecord(homeData, userId, { scope: selection.scope, type: record.type })) {
+      throw httpError(403, `Not allowed to share ${record.type} data`);
+    }
+  }
+
+  const fields = {
+    homeId,
+    exactAddress: homeData.address,
+    city: homeData.city,
+    state: homeData.state,
+    zipcode: homeData.zipcode,
+    sharedRecords
+  };
+  if (homeData.location) {
+    const { latitude, longitude } = homeData.location;
+    fields.exactLocation = homeData.location;
+    fields.approximateLocation = new admin.firestore.GeoPoint(blurCoordinate(latitude), blurCoordinate(longitude));
+    fields.geohash = geohashFor(blurCoordinate(latitude), blurCoordinate(longitude));
+  }
+  return fields;
+}
+
+// Once work is submitted or disputed the worker has no more reason to be in the home
+const WORKER_ACCESS_STATUSES = ['accepted', 'in_progress'];
+
+/**
+ * The shared home records of a gig, for its poster or its assigned worker. A worker's
+ * access follows the gig: it starts at assignment and ends when the work is submitted
+ * or the gig is cancelled, with nothing to revoke by hand. Private secrets are decrypted
+ * and every read is written to the home's secret access log.
+ */
+async function getSharedHomeRecords(gigId, gigData, userId) {
+  if (!gigData.homeId) {
+    throw httpError(404, 'Gig is not linked to a home');
+  }
+  const isPoster = gigData.userId === userId;
+  if (!isPoster && gigData.acceptedBy !== userId) {
+    throw httpError(403, 'Not allowed to view home access for this gig');
+  }
+  if (!isPoster && !WORKER_ACCESS_STATUSES.includes(gigData.status)) {
+    throw httpError(403, 'Home access is only available while the gig is being worked on');
+  }
+
+  const homeDoc = await db.collection('homes').doc(gigData.homeId).get();
+  if (!homeDoc.exists) {
+    throw httpError(404, 'Home not found');
+  }
+  // Access is granted by the poster, so it lapses if they leave the home
+  const homeData = homeDoc.data();
+  if (!homeRole(homeData, gigData.userId)) {
+    throw httpError(403, 'Home access is no longer available for this gig');
+  }
+
+  const records = [];
+  for (const { scope, recordId } of gigData.sharedRecords || []) {
+    const record = await getRecord(gigData.homeId, scope, recordId).catch((error) => {
+      if (error.status === 404) return null; // Deleted since the gig was posted
+      throw error;
+    });
+    if (!record || !canShareRecord(homeData, gigData.userId, { scope, type: record.type })) continue;
+
+    let { data } = record;
+    if (scope === 'privateData') {
+      const opened = await openFields(gigData.homeId, recordId, record.type, data);
+      await logSecretAccess(gigData.homeId, { userId, recordId, type: record.type, fields: opened.opened, via: `gig:${gigId}` });
+      data = opened.data;
+    }
+    records.push({ id: recordId, scope, type: record.type, data, updatedAt: record.updatedAt });
+  }
+
+  return {
+    home: {
+      address: homeData.address,
+      city: homeData.city,
+      state: homeData.state,
+      zipcode: homeData.zipcode,
+      location: homeData.location || null
+    },
+    records
+  };
+}
+
+const serviceHistoryRef = (homeId) => db.collection('gigs').where('homeId', '==', homeId);
+
+module.exports = {
+  gigFieldsFromHome,
+  getSharedHomeRecords,
+  serviceHistoryRef
+};
@@ -0,0 +1,311 @@
+const { db } = require('../config/firebase');
+const admin = require('firebase-admin');
+const Joi = require('joi');
+const { httpError } = require('./errors');
+const {
+  getCurrentDataKey,
+  sealFields,
+  openFields,
+  maskFields,
+  SENSITIVE_FIELDS,
+  createDataKeyVersion,
+  retireOldDataKeys,
+  forgetDataKeys,
+  homeKeysRef
+} = require('./homeCrypto');
+
+const SCOPES = ['privateData', 'publicData'];
+
+// Known record types and the shape of their data. Records written before the registry
+// existed may carry other types; they stay readable but can only be deleted.
+const RECORD_SCHEMAS = {
+  wifi: Joi.object({
+    network: Joi.string().max(64).required(),
+    password: Joi.string().max(128).allow(''),
+    security: Joi.string().valid('open', 'wep', 'wpa', 'wpa2', 'wpa3').default('wpa2'),
+    notes: Joi.string().max(500)
+  }),
+  maintenance: Joi.object({
+    title: Joi.string().max(200).required(),
+    description: Joi.string().max(5000),
+    status: Joi.string().valid('open', 'scheduled', 'done').default('open'),
+    dueDate: Joi.date().iso(),
+    completedAt: Joi.date().iso(),
+    cost: Joi.number().min(0),
+    vendor: Joi.string().max(200)
+  }),
+  appliance: Joi.object({
+    name: Joi.string().max(200).required(),
+    brand: Joi.string().max(100),
+    model: Joi.string().max(100),
+    serialNumber: Joi.string().max(100),
+    purchasedAt: Joi.date().iso(),
+    warrantyUntil: Joi.date().iso(),
+    manualUrl: Joi.string().uri()
+  }),
+  utility_account: Joi.object({
+    provider: Joi.string().max(200).required(),
+    service: Joi.string().valid('electricity', 'gas', 'water', 'internet', 'trash', 'other').required(),
+    accountNumber: Joi.string().max(100),
+    phone: Joi.string().max(30),
+    website: Joi.string().uri(),
+    notes: Joi.string().max(1000)
+  }),
+  access_code: Joi.object({
+    label: Joi.string().max(100).required(), // e.g. "Front door", "Garage"
+    code: Joi.string().max(64).required(),
+    validUntil: Joi.date().iso(),
+    notes: Joi.string().max(500)
+  }),
+  note: Joi.object({
+    title: Joi.string().max(200).required(),
+    body: Joi.string().max(10000).allow('')
+  })
+};
+
+const RECORD_TYPES = Object.keys(RECORD_SCHEMAS);
+
+const recordsRef = (homeId, scope) => db.collection('homes').doc(homeId).collection(scope);
+const versionsRef = (recordRef) => recordRef.collection('versions');
+
+// Validated data with schema defaults applied
+function validateRecord(type, data) {
+  const schema = RECORD_SCHEMAS[type];
+  if (!schema) {
+    throw httpError(400, `Unknown record type. Use one of: ${RECORD_TYPES.join(', ')}`);
+  }
+  const { error, value } = schema.validate(data, { abortEarly: false });
+  if (error) {
+    throw httpError(400, error.details.map(detail => detail.message).join('; '));
+  }
+  return value;
+}
+
+// Each change keeps a full copy of the record's data, so history reads need no replay
+function writeVersion(transaction, recordRef, { version, action, data, changedBy }) {
+  transaction.set(versionsRef(recordRef).doc(String(version)), {
+    version,
+    action,
+    data,
+    changedBy,
+    changedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+}
+
+const isEncrypted = (scope) => scope === 'privateData';
+
+// Secrets are only encrypted in privateData, and publicData is what share links serve
+function assertScopeAllows(scope, type) {
+  if (!isEncrypted(scope) && SENSITIVE_FIELDS[type]) {
+    throw httpError(400, `${type} records can only be stored in privateData`);
+  }
+}
+
+const KEY_ROTATED = 'Home data key was rotated, please retry';
+const KEY_ATTEMPTS = 3;
+
+/**
+ * Run a write with the home's current data key (null for unencrypted scopes), fetched
+ * again when a rotation got in first. The write's transaction must call assertKeyCurrent
+ * before writing: otherwise a rotation landing between fetching the key and committing
+ * leaves the record sealed with a version retireOldDataKeys then drops. Reading the keys
+ * doc in the transaction also restarts it if a rotation commits meanwhile.
+ */
+async function withDataKey(homeId, scope, write) {
+  for (let attempt = 1; ; attempt++) {
+    const dataKey = isEncrypted(scope) ? await getCurrentDataKey(homeId) : null;
+    try {
+      return await write(dataKey);
+    } catch (error) {
+      if (error.message !== KEY_ROTATED || attempt >= KEY_ATTEMPTS) throw error;
+    }
+  }
+}
+
+async function assertKeyCurrent(transaction, homeId, dataKey) {
+  if (!dataKey) return;
+  const keysDoc = await transaction.get(homeKeysRef(homeId));
+  if (keysDoc.data()?.currentVersion !== dataKey.version) {
+    throw httpError(409, KEY_ROTATED);
+  }
+}
+
+// Callers get sensitive fields masked back from writes; reading them goes through openFields
+async function createRecord(homeId, scope, { type, data }, userId) {
+  assertScopeAllows(scope, type);
+  const value = validateRecord(type, data);
+  const recordRef = recordsRef(homeId, scope).doc();
+  return withDataKey(homeId, scope, async (dataKey) => {
+    const stored = dataKey ? await sealFields(homeId, recordRef.id, type, value, dataKey) : value;
+    const record = {
+      type,
+      data: stored,
+      version: 1,
+      deleted: false,
+      createdBy: userId,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedBy: userId,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+    await db.runTransaction(async (transaction) => {
+      await assertKeyCurrent(transaction, homeId, dataKey);
+      transaction.set(recordRef, record);
+      writeVersion(transaction, recordRef, { version: 1, action: 'create', data: stored, changedBy: userId });
+    });
+    return { id: recordRef.id, ...record, data: maskFields(type, value) };
+  });
+}
+
+async function getRecord(homeId, scope, recordId) {
+  const recordDoc = await recordsRef(homeId, scope).doc(recordId).get();
+  if (!recordDoc.exists || recordDoc.data().deleted) {
+    throw httpError(404, 'Record not found');
+  }
+  return { id: recordDoc.id, ...recordDoc.data() };
+}
+
+/**
+ * Merge a partial update into a record and bump its version. Pass expectedVersion to
+ * refuse the write when someone else changed the record since the caller read it.
+ */
+async function updateRecord(homeId, scope, recordId, { data, expectedVersion }, userId) {
+  const recordRef = recordsRef(homeId, scope).doc(recordId);
+  return withDataKey(homeId, scope, dataKey => db.runTransaction(async (transaction) => {
+    const recordDoc = await transaction.get(recordRef);
+    if (!recordDoc.exists || recordDoc.data().deleted) {
+      throw httpError(404, 'Record not found');
+    }
+    await assertKeyCurrent(transaction, homeId, dataKey);
+    const current = recordDoc.data();
+    const version = current.version || 1;
+    if (expectedVersion !== undefined && expectedVersion !== version) {
+      throw httpError(409, `Record was changed (now at version ${version}), reload and retry`);
+    }
+    assertScopeAllows(scope, current.type);
+
+    // Sealed fields are opened so the merged record validates, then sealed again
+    const currentData = dataKey ? (await openFields(homeId, recordId, current.type, current.data)).data : current.data;
+    const value = validateRecord(current.type, { ...currentData, ...data });
+    const stored = dataKey ? await sealFields(homeId, recordId, current.type, value, dataKey) : value;
+    const update = {
+      data: stored,
+      version: version + 1,
+      updatedBy: userId,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+    transaction.update(recordRef, update);
+    writeVersion(transaction, recordRef, { version: version + 1, action: 'update', data: stored, changedBy: userId });
+    return { id: recordId, ...current, ...update, data: maskFields(current.type, value) };
+  }));
+}
+
+// Soft delete: the record disappears from listings but its history stays readable
+async function deleteRecord(homeId, scope, recordId, userId) {
+  const recordRef = recordsRef(homeId, scope).doc(recordId);
+  await db.runTransaction(async (transaction) => {
+    const recordDoc = await transaction.get(recordRef);
+    if (!recordDoc.exists || recordDoc.data().deleted) {
+      throw httpError(404, 'Record not found');
+    }
+    const version = (recordDoc.data().version || 1) + 1;
+    transaction.update(recordRef, {
+      deleted: true,
+      version,
+      updatedBy: userId,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    writeVersion(transaction, recordRef, { version, action: 'delete', data: null, changedBy: userId });
+  });
+}
+
+// Newest first. Records from before versioning have no history entries.
+async function listVersions(homeId, scope, recordId) {
+  const recordRef = recordsRef(homeId, scope).doc(recordId);
+  const recordDoc = await recordRef.get();
+  if (!recordDoc.exists) {
+    throw httpError(404, 'Record not found');
+  }
+  const snapshot = await versionsRef(recordRef).orderBy('version', 'desc').get();
+  return { type: recordDoc.data().type, versions: snapshot.docs.map(doc => doc.data()) };
+}
+
+// Reseal every private record and version of a home with the current data key; returns how many docs changed
+async function reencryptPrivateData(homeId) {
+  const dataKey = await getCurrentDataKey(homeId);
+  const snapshot = await recordsRef(homeId, 'privateData').get();
+  let rewritten = 0;
+  for (const recordDoc of snapshot.docs) {
+    rewritten += await db.runTransaction(async (transaction) => {
+      const [current, history] = await Promise.all([
+        transaction.get(recordDoc.ref),
+        transaction.get(versionsRef(recordDoc.ref))
+      ]);
+      if (!current.exists) return 0;
+      const { type } = current.data();
+      let changed = 0;
+      for (const doc of [current, ...history.docs]) {
+        const { data } = doc.data();
+        const sealed = await sealFields(homeId, recordDoc.id, type, data, dataKey);
+        if (sealed !== data && JSON.stringify(sealed) !== JSON.stringify(data)) {
+          transaction.update(doc.ref, { data: sealed });
+          changed++;
+        }
+      }
+      return changed;
+    });
+  }
+  return rewritten;
+}
+
+/**
+ * Rotate a home's data key: new writes switch to a fresh key at once, existing records
+ * and their history are resealed, and old key versions are dropped only once a full pass
+ * finds nothing left to reseal (a write racing the first pass is caught by the next).
+ * Also rewraps the key with the current master key, so it doubles as master key rotation.
+ */
+async function rotateHomeKey(homeId) {
+  const version = await createDataKeyVersion(homeId);
+  let rewritten = await reencryptPrivateData(homeId);
+  for (let pass = 0; pass < 3; pass++) {
+    const stale = await reencryptPrivateData(homeId);
+    if (!stale) {
+      await retireOldDataKeys(homeId);
+      return { version, rewritten };
+    }
+    rewritten += stale;
+  }
+  throw new Error(`Home ${homeId} kept changing during rotation; old keys were kept, run it again`);
+}
+
+/**
+ * Decrypt every sealed field of a home's private records and their history, reading keys
+ * from Firestore rather than this process's cache. Throws on the first field that does not
+ * open; returns how many fields did.
+ */
+async function verifyPrivateData(homeId) {
+  forgetDataKeys(homeId);
+  const snapshot = await recordsRef(homeId, 'privateData').get();
+  let opened = 0;
+  for (const recordDoc of snapshot.docs) {
+    const history = await versionsRef(recordDoc.ref).get();
+    for (const doc of [recordDoc, ...history.docs]) {
+      const result = await openFields(homeId, recordDoc.id, recordDoc.data().type, doc.data().data);
+      opened += result.opened.length;
+    }
+  }
+  return opened;
+}
+
+module.exports = {
+  SCOPES,
+  RECORD_TYPES,
+  recordsRef,
+  validateRecord,
+  createRecord,
+  getRecord,
+  updateRecord,
+  deleteRecord,
+  listVersions,
+  rotateHomeKey,
+  verifyPrivateData
+};
@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const { db } = require('../config/firebase');
+const admin = require('firebase-admin');
+const { httpError } = require('./errors');
+const { recordsRef } = require('./homeRecords');
+const { maskFields } = require('./homeCrypto');
+const { blurCoordinate } = require('./geo');
+const { encodeCursor, decodeCursor } = require('./search');
+
+const sharesRef = () => db.collection('homeShares');
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const isShareExpired = (share) => Boolean(share.expiresAt) && share.expiresAt.toMillis() <= Date.now();
+
+// Share tokens are "<shareId>.<secret>", like refresh tokens; only the hash of the secret is stored
+async function createShare(homeId, userId, { label, expiresAt }) {
+  const shareRef = sharesRef().doc();
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const share = {
+    homeId,
+    label: label || null,
+    secretHash: hashSecret(secret),
+    createdBy: userId,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    expiresAt: expiresAt ? admin.firestore.Timestamp.fromDate(new Date(expiresAt)) : null,
+    revokedAt: null,
+    useCount: 0,
+    lastUsedAt: null
+  };
+  await shareRef.set(share);
+  const { secretHash, ...visible } = share;
+  return { id: shareRef.id, ...visible, token: `${shareRef.id}.${secret}` };
+}
+
+async function listShares(homeId) {
+  const snapshot = await sharesRef().where('homeId', '==', homeId).orderBy('createdAt', 'desc').get();
+  return snapshot.docs.map((doc) => {
+    const { secretHash, ...share } = doc.data();
+    return { id: doc.id, ...share, expired: isShareExpired(share) };
+  });
+}
+
+async function revokeShare(homeId, shareId, userId) {
+  const shareRef = sharesRef().doc(shareId);
+  await db.runTransaction(async (transaction) => {
+    const shareDoc = await transaction.get(shareRef);
+    if (!shareDoc.exists || shareDoc.data().homeId !== homeId) {
+      throw httpError(404, 'Share link not found');
+    }
+    if (shareDoc.data().revokedAt) {
+      throw httpError(409, 'Share link is already revoked');
+    }
+    transaction.update(shareRef, { revokedAt: admin.firestore.FieldValue.serverTimestamp(), revokedBy: userId });
+  });
+}
+
+// Revoke every live share link of a home, e.g. when the home is deleted
+async function revokeHomeShares(homeId, userId) {
+  const snapshot = await sharesRef().where('homeId', '==', homeId).where('revokedAt', '==', null).get();
+  if (snapshot.empty) return 0;
+  const batch = db.batch();
+  snapshot.docs.forEach(doc => batch.update(doc.ref, {
+    revokedAt: admin.firestore.FieldValue.serverTimestamp(),
+    revokedBy: userId
+  }));
+  await batch.commit();
+  return snapshot.size;
+}
+
+/**
+ * The share behind a token, with its home. Unknown tokens are 404; revoked or expired
+ * ones, or links to a home that no longer exists, are 410.
+ */
+async function resolveShare(token) {
+  const [shareId, secret] = String(token).split('.');
+  const shareDoc = shareId && secret ? await sharesRef().doc(shareId).get() : null;
+  if (!shareDoc?.exists || shareDoc.data().secretHash !== hashSecret(secret)) {
+    throw httpError(404, 'Share link not found');
+  }
+  const share = shareDoc.data();
+  if (share.revokedAt || isShareExpired(share)) {
+    throw httpError(410, 'Share link is no longer valid');
+  }
+  const homeDoc = await db.collection('homes').doc(share.homeId).get();
+  if (!homeDoc.exists) {
+    throw httpError(410, 'Share link is no longer valid');
+  }
+  return { share: { id: shareDoc.id, ...share }, home: { id: homeDoc.id, ...homeDoc.data() } };
+}
+
+// Every use is kept on the share so the owner can see who opened the link and when
+async function recordShareAccess(shareId, { ip, userAgent }) {
+  const shareRef = sharesRef().doc(shareId);
+  const batch = db.batch();
+  batch.set(shareRef.collection('accesses').doc(), {
+    ip: ip || null,
+    userAgent: userAgent || null,
+    accessedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  batch.update(shareRef, {
+    useCount: admin.firestore.FieldValue.increment(1),
+    lastUsedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  await batch.commit();
+}
+
+/**
+ * What a share link shows: the coarse address and the home's public records, newest
+ * first and cursor paginated, with nothing about who lives there or wrote them.
+ */
+async function sharedHomeView(home, shareId, { type, limit, cursor }) {
+  let query = recordsRef(home.id, 'publicData');
+  if (type) query = query.where('type', '==', type);
+  query = query.orderBy('createdAt', 'desc').orderBy(admin.firestore.FieldPath.documentId(), 'desc');
+  const signature = `share:${shareId}:${type || ''}`;
+  if (cursor) {
+    const startAfter = decodeCursor(cursor, signature);
+    if (!startAfter) {
+      throw httpError(400, 'Invalid cursor');
+    }
+    query = query.startAfter(...startAfter);
+  }
+
+  const snapshot = await query.limit(limit).get();
+  return {
+    home: {
+      city: home.city,
+      state: home.state,
+      zipcode: home.zipcode,
+      location: home.location
+        ? { latitude: blurCoordinate(home.location.latitude), longitude: blurCoordinate(home.location.longitude) }
+        : null
+    },
+    // Deleted records are dropped after the fetch, so a page can come back short
+    records: snapshot.docs
+      .filter(doc => !doc.data().deleted)
+      .map((doc) => {
+        const { type: recordType, data, updatedAt } = doc.data();
+        // Older public records of sensitive types hold their secrets in plaintext
+        return { id: doc.id, type: recordType, data: maskFields(recordType, data), updatedAt };
+      }),
+    nextCursor: snapshot.size === limit
+      ? encodeCursor(snapshot.docs[snapshot.size - 1], ['createdAt'], signature)
+      : null
+  };
+}
+
+module.exports = {
+  sharesRef,
+  createShare,
+  listShares,
+  revokeShare,
+  revokeHomeShares,
+  resolveShare,
+  recordShareAccess,
+  sharedHomeView
+};
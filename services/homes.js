@@ -0,0 +1,220 @@
+const { db, auth } = require('../config/firebase');
+const admin = require('firebase-admin');
+const { httpError } = require('./errors');
+const { homeRole } = require('./homeAccess');
+const { homeKeysRef } = require('./homeCrypto');
+const { revokeHomeShares } = require('./homeShares');
+
+const INVITE_TTL_MS = Number(process.env.HOME_INVITE_TTL_DAYS || 7) * 24 * 60 * 60 * 1000;
+
+const invitesRef = () => db.collection('homeInvites');
+
+const isExpired = (invite) => invite.expiresAt.toMillis() <= Date.now();
+
+// Invites are addressed by username, email or phone; all resolve to a user id
+async function resolveInvitee({ username, email, phoneNumber }) {
+  if (email) {
+    const record = await auth.getUserByEmail(email).catch(() => null);
+    return record ? record.uid : null;
+  }
+  if (username) {
+    const snapshot = await db.collection('users').where('username', '==', username).limit(1).get();
+    return snapshot.empty ? null : snapshot.docs[0].id;
+  }
+  // Phone numbers are not unique until verified, so only a verified owner is matched
+  const snapshot = await db.collection('users')
+    .where('phoneNumber', '==', phoneNumber)
+    .where('phoneVerified', '==', true)
+    .limit(2)
+    .get();
+  if (snapshot.size > 1) {
+    throw httpError(409, 'Several users share that phone number, invite by username or email');
+  }
+  return snapshot.empty ? null : snapshot.docs[0].id;
+}
+
+/**
+ * Invite a user into a home with a role (guests also get an access end time). One invite
+ * per home and invitee: a new invite replaces one that was declined, revoked or has
+ * expired, but not one still pending.
+ */
+async function createInvite(homeId, homeData, inviteeId, invitedBy, { role, accessUntil }) {
+  if (homeRole(homeData, inviteeId)) {
+    throw httpError(409, 'User is already a member of this home');
+  }
+  const inviteRef = invitesRef().doc(`${homeId}_${inviteeId}`);
+  return db.runTransaction(async (transaction) => {
+    const existing = await transaction.get(inviteRef);
+    if (existing.exists && existing.data().status === 'pending' && !isExpired(existing.data())) {
+      throw httpError(409, 'User already has a pending invite to this home');
+    }
+    const invite = {
+      homeId,
+      homeAddress: homeData.address,
+      invitedBy,
+      inviteeId,
+      role,
+      accessUntil: accessUntil ? admin.firestore.Timestamp.fromDate(new Date(accessUntil)) : null,
+      status: 'pending',
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      expiresAt: admin.firestore.Timestamp.fromMillis(Date.now() + INVITE_TTL_MS)
+    };
+    transaction.set(inviteRef, invite);
+    return { id: inviteRef.id, ...invite };
+  });
+}
+
+/**
+ * Accept or decline a pending invite addressed to userId. Accepting adds the user to
+ * the home's occupants; their current home is left for them to choose.
+ */
+async function respondToInvite(inviteId, userId, accept) {
+  const inviteRef = invitesRef().doc(inviteId);
+  const result = await db.runTransaction(async (transaction) => {
+    const inviteDoc = await transaction.get(inviteRef);
+    if (!inviteDoc.exists || inviteDoc.data().inviteeId !== userId) {
+      return { error: httpError(404, 'Invite not found') };
+    }
+    const invite = inviteDoc.data();
+    if (invite.status !== 'pending') {
+      return { error: httpError(409, `Invite was already ${invite.status}`) };
+    }
+    if (isExpired(invite)) {
+      // Recorded even though the request fails, so the invite stops showing as pending
+      transaction.update(inviteRef, { status: 'expired' });
+      return { error: httpError(410, 'Invite has expired') };
+    }
+
+    const homeRef = db.collection('homes').doc(invite.homeId);
+    const homeDoc = await transaction.get(homeRef);
+    if (!homeDoc.exists) {
+      transaction.update(inviteRef, { status: 'revoked' });
+      return { error: httpError(404, 'Home no longer exists') };
+    }
+    if (accept) {
+      transaction.update(homeRef, {
+        occupants: admin.firestore.FieldValue.arrayUnion(userId),
+        [`memberRoles.${userId}`]: invite.role || 'resident',
+        [`accessUntil.${userId}`]: invite.accessUntil || admin.firestore.FieldValue.delete()
+      });
+    }
+    transaction.update(inviteRef, {
+      status: accept ? 'accepted' : 'declined',
+      respondedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return { homeId: invite.homeId, status: accept ? 'accepted' : 'declined' };
+  });
+
+  if (result.error) throw result.error;
+  return result;
+}
+
+/**
+ * Take a user out of a home's occupants (leaving, or removed by the owner). Their
+ * current home is cleared only if it was this one.
+ */
+async function removeOccupant(homeId, userId) {
+  const homeRef = db.collection('homes').doc(homeId);
+  const userRef = db.collection('users').doc(userId);
+  await db.runTransaction(async (transaction) => {
+    const [homeDoc, userDoc] = await transaction.getAll(homeRef, userRef);
+    if (!homeDoc.exists) {
+      throw httpError(404, 'Home not found');
+    }
+    if (!(homeDoc.data().occupants || []).includes(userId)) {
+      throw httpError(400, 'User not attached');
+    }
+    transaction.update(homeRef, {
+      occupants: admin.firestore.FieldValue.arrayRemove(userId),
+      [`memberRoles.${userId}`]: admin.firestore.FieldValue.delete(),
+      [`accessUntil.${userId}`]: admin.firestore.FieldValue.delete()
+    });
+    if (userDoc.exists && userDoc.data().currentHomeId === homeId) {
+      transaction.update(userRef, { currentHomeId: null });
+    }
+  });
+}
+
+// Change an occupant's role; guests need an end time, other roles never expire
+async function setMemberRole(homeId, userId, { role, accessUntil }) {
+  const homeRef = db.collection('homes').doc(homeId);
+  await db.runTransaction(async (transaction) => {
+    const homeDoc = await transaction.get(homeRef);
+    if (!homeDoc.exists) {
+      throw httpError(404, 'Home not found');
+    }
+    if (!(homeDoc.data().occupants || []).includes(userId)) {
+      throw httpError(404, 'User is not a member of this home');
+    }
+    transaction.update(homeRef, {
+      [`memberRoles.${userId}`]: role,
+      [`accessUntil.${userId}`]: role === 'guest'
+        ? admin.firestore.Timestamp.fromDate(new Date(accessUntil))
+        : admin.firestore.FieldValue.delete()
+    });
+  });
+}
+
+/**
+ * Hand a home to another member. The previous owner stays on as a manager; the new
+ * owner leaves the occupant list, since ownership is held in ownerId.
+ */
+async function transferOwnership(homeId, currentOwnerId, newOwnerId) {
+  const homeRef = db.collection('homes').doc(homeId);
+  await db.runTransaction(async (transaction) => {
+    const homeDoc = await transaction.get(homeRef);
+    if (!homeDoc.exists) {
+      throw httpError(404, 'Home not found');
+    }
+    const homeData = homeDoc.data();
+    if (homeData.ownerId !== currentOwnerId) {
+      throw httpError(403, 'Only the owner can transfer this home');
+    }
+    const newOwnerRole = homeRole(homeData, newOwnerId);
+    if (!newOwnerRole || newOwnerRole === 'guest') {
+      throw httpError(400, 'The new owner must be a member of this home (not a guest)');
+    }
+    transaction.update(homeRef, {
+      ownerId: newOwnerId,
+      occupants: [...homeData.occupants.filter(id => id !== newOwnerId), currentOwnerId],
+      [`memberRoles.${newOwnerId}`]: admin.firestore.FieldValue.delete(),
+      [`accessUntil.${newOwnerId}`]: admin.firestore.FieldValue.delete(),
+      [`memberRoles.${currentOwnerId}`]: 'manager',
+      transferredAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  });
+}
+
+/**
+ * Delete a home and everything stored under it: records with their history and the
+ * secret access log. Its share links are revoked, pending invites die with it, nobody
+ * keeps it as their current home, and its data key is dropped, which also leaves any
+ * copy of its private records unreadable.
+ */
+async function deleteHome(homeId, deletedBy) {
+  const homeRef = db.collection('homes').doc(homeId);
+  const [pendingInvites, currentUsers] = await Promise.all([
+    invitesRef().where('homeId', '==', homeId).where('status', '==', 'pending').get(),
+    db.collection('users').where('currentHomeId', '==', homeId).get()
+  ]);
+  const batch = db.batch();
+  pendingInvites.docs.forEach(doc => batch.update(doc.ref, { status: 'revoked' }));
+  currentUsers.docs.forEach(doc => batch.update(doc.ref, { currentHomeId: null }));
+  batch.delete(homeKeysRef(homeId));
+  await batch.commit();
+
+  await revokeHomeShares(homeId, deletedBy);
+  await db.recursiveDelete(homeRef);
+}
+
+module.exports = {
+  invitesRef,
+  isExpired,
+  resolveInvitee,
+  createInvite,
+  respondToInvite,
+  removeOccupant,
+  setMemberRole,
+  transferOwnership,
+  deleteHome
+};
@@ -0,0 +1,66 @@
+const { db } = require('../config/firebase');
+const admin = require('firebase-admin');
+const { httpError } = require('./errors');
+
+const ACTIONS = ['read', 'unread', 'archive', 'unarchive', 'delete'];
+
+const adsRef = (userId) => db.collection('mailboxes').doc(userId).collection('ads');
+
+/**
+ * Apply one inbox action to several mailbox items atomically. The first time an item
+ * is read counts as an open on its campaign, so business stats never count an ad twice.
+ */
+async function updateItems(userId, ids, action) {
+  if (!ACTIONS.includes(action)) {
+    throw httpError(400, 'Invalid action');
+  }
+
+  return db.runTransaction(async (transaction) => {
+    const refs = ids.map(id => adsRef(userId).doc(id));
+    const docs = await transaction.getAll(...refs);
+    const missing = docs.filter(doc => !doc.exists).map(doc => doc.id);
+    if (missing.length) {
+      throw httpError(404, `Mailbox items not found: ${missing.join(', ')}`);
+    }
+
+    const opensPerCampaign = {};
+    docs.forEach(doc => {
+      const item = doc.data();
+      if (action === 'delete') {
+        transaction.delete(doc.ref);
+        return;
+      }
+
+      const update = {
+        read: { read: true, unread: false }[action] ?? item.read ?? false,
+        archived: { archive: true, unarchive: false }[action] ?? item.archived ?? false,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      };
+      if (action === 'read' && !item.openedAt) {
+        update.openedAt = admin.firestore.FieldValue.serverTimestamp();
+        if (item.campaignId) {
+          opensPerCampaign[item.campaignId] = (opensPerCampaign[item.campaignId] || 0) + 1;
+        }
+      }
+      transaction.update(doc.ref, update);
+    });
+
+    Object.entries(opensPerCampaign).forEach(([campaignId, opens]) => {
+      transaction.update(db.collection('campaigns').doc(campaignId), {
+        openCount: admin.firestore.FieldValue.increment(opens)
+      });
+    });
+    return docs.length;
+  });
+}
+
+async function countUnread(userId) {
+  const snapshot = await adsRef(userId)
+    .where('read', '==', false)
+    .where('archived', '==', false)
+    .count()
+    .get();
+  return snapshot.data().count;
+}
+
+module.exports = { ACTIONS, adsRef, updateItems, countUnread };
@@ -0,0 +1,78 @@
+const { db } = require('../config/firebase');
+const admin = require('firebase-admin');
+const { httpError } = require('./errors');
+const { revokeAllSessions } = require('./sessions');
+const { recordAudit } = require('./audit');
+
+const ACCOUNT_STATUSES = ['active', 'suspended', 'banned'];
+// Same trade-off as the session cache: a restriction reaches every node within this window
+const CACHE_MS = Number(process.env.SESSION_CACHE_MS || 5000);
+
+// null when the account may be used; expired suspensions no longer count
+const restrictionOf = (userData) => {
+  const moderation = userData?.moderation;
+  if (!moderation || moderation.status === 'active') return null;
+  if (moderation.status === 'suspended' && moderation.until && moderation.until.toMillis() <= Date.now()) return null;
+  return { status: moderation.status, until: moderation.until || null, reason: moderation.reason || null };
+};
+
+const describeRestriction = (restriction) => (restriction.status === 'banned'
+  ? 'Account has been banned'
+  : `Account is suspended until ${restriction.until.toDate().toISOString()}`);
+
+// Bounded like the session caches: past CACHE_MAX the least recently stored entry is dropped
+const CACHE_MAX = Number(process.env.SESSION_CACHE_MAX || 10000);
+const cache = new Map(); // userId -> { restriction, checkedAt }
+
+async function getRestriction(userId) {
+  const cached = cache.get(userId);
+  if (cached && Date.now() - cached.checkedAt < CACHE_MS) return cached.restriction;
+
+  const userDoc = await db.collection('users').doc(userId).get();
+  const restriction = restrictionOf(userDoc.data());
+  cache.delete(userId);
+  cache.set(userId, { restriction, checkedAt: Date.now() });
+  if (cache.size > CACHE_MAX) cache.delete(cache.keys().next().value);
+  return restriction;
+}
+
+/**
+ * Suspend, ban or reinstate an account. Restricting also ends every session, so the
+ * user is signed out everywhere at once; the audit entry commits with the change.
+ */
+async function setAccountStatus(userId, { status, until, reason }, actor) {
+  if (!ACCOUNT_STATUSES.includes(status)) {
+    throw httpError(400, 'Invalid account status');
+  }
+  const userRef = db.collection('users').doc(userId);
+  const userDoc = await userRef.get();
+  if (!userDoc.exists) {
+    throw httpError(404, 'User not found');
+  }
+
+  const moderation = {
+    status,
+    until: status === 'suspended' ? admin.firestore.Timestamp.fromDate(new Date(until)) : null,
+    reason: reason || null,
+    updatedBy: actor.userId,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  };
+  const batch = db.batch();
+  batch.update(userRef, { moderation });
+  recordAudit({
+    actorId: actor.userId,
+    actorRole: actor.role,
+    action: `user.${status === 'active' ? 'reinstate' : status === 'banned' ? 'ban' : 'suspend'}`,
+    targetType: 'user',
+    targetId: userId,
+    reason,
+    details: { previousStatus: userDoc.data().moderation?.status || 'active', until: until || null }
+  }, batch);
+  await batch.commit();
+
+  cache.delete(userId);
+  const revokedSessions = status === 'active' ? 0 : await revokeAllSessions(userId, `account_${status}`);
+  return { status, until: until || null, revokedSessions };
+}
+
+module.exports = { ACCOUNT_STATUSES, restrictionOf, describeRestriction, getRestriction, setAccountStatus };
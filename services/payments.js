@@ -0,0 +1,341 @@
+const { db } = require('../config/firebase');
+const admin = require('firebase-admin');
+const stripe = require('../config/stripe');
+const logger = require('../logger');
+const { httpError } = require('./errors');
+const { credit } = require('./wallet');
+const { transitionGig, revertTransition } = require('./gigLifecycle');
+
+const CURRENCY = process.env.STRIPE_CURRENCY || 'usd';
+
+// Stripe rejected the request outright, so nothing happened. Anything else (network errors,
+// timeouts, Stripe 5xx) may or may not have gone through.
+const DEFINITIVE_ERRORS = ['StripeCardError', 'StripeInvalidRequestError', 'StripePermissionError', 'StripeRateLimitError'];
+const isDefinitiveFailure = (error) => DEFINITIVE_ERRORS.includes(error.type);
+
+// Gig prices are stored in major units (e.g. dollars); Stripe wants the smallest unit
+const toMinorUnits = (price) => Math.round(Number(price) * 100);
+
+// Write the gig's payment summary and a ledger entry in one batch so they never disagree
+async function recordPayment(gigId, payment, entry) {
+  const gigRef = db.collection('gigs').doc(gigId);
+  const batch = db.batch();
+  batch.update(gigRef, {
+    payment: { ...payment, updatedAt: admin.firestore.FieldValue.serverTimestamp() }
+  });
+  batch.set(gigRef.collection('payments').doc(), {
+    ...entry,
+    currency: payment.currency,
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  await batch.commit();
+}
+
+// The user's Stripe customer, created on first use. The idempotency key keeps two
+// concurrent first calls from creating two customers.
+async function ensureCustomer(userId) {
+  const userRef = db.collection('users').doc(userId);
+  const userDoc = await userRef.get();
+  if (!userDoc.exists) {
+    throw httpError(404, 'User profile not found');
+  }
+  const user = userDoc.data();
+  if (user.stripeCustomerId) return user.stripeCustomerId;
+
+  const customer = await stripe.customers.create({
+    email: user.email,
+    name: user.name,
+    metadata: { userId }
+  }, { idempotencyKey: `customer-${userId}` });
+  await userRef.update({ stripeCustomerId: customer.id });
+  return customer.id;
+}
+
+// Start saving a card for off-session escrow charges; the client confirms it with the secret
+async function createSetupIntent(userId) {
+  const customerId = await ensureCustomer(userId);
+  const intent = await stripe.setupIntents.create({
+    customer: customerId,
+    usage: 'off_session',
+    metadata: { userId }
+  });
+  return { setupIntentId: intent.id, clientSecret: intent.client_secret };
+}
+
+/**
+ * Make the payment method of a confirmed SetupIntent the one escrow charges use. The
+ * intent must belong to the caller's customer, so nobody can attach someone else's card.
+ */
+async function saveDefaultPaymentMethod(userId, setupIntentId) {
+  const customerId = await ensureCustomer(userId);
+  const intent = await stripe.setupIntents.retrieve(setupIntentId);
+  if (intent.customer !== customerId) {
+    throw httpError(403, 'Setup intent belongs to another customer');
+  }
+  if (intent.status !== 'succeeded' || !intent.payment_method) {
+    throw httpError(409, 'Payment method setup is not complete');
+  }
+  await stripe.customers.update(customerId, {
+    invoice_settings: { default_payment_method: intent.payment_method }
+  });
+  await db.collection('users').doc(userId).update({ defaultPaymentMethodId: intent.payment_method });
+  return { paymentMethodId: intent.payment_method };
+}
+
+/**
+ * Charge the poster's saved payment method for the gig price into the platform
+ * balance. Funds stay there until the gig is completed (worker's wallet) or cancelled (refund).
+ */
+async function holdEscrow(gigId, gigData) {
+  const posterDoc = await db.collection('users').doc(gigData.userId).get();
+  const poster = posterDoc.exists ? posterDoc.data() : {};
+  if (!poster.stripeCustomerId || !poster.defaultPaymentMethodId) {
+    throw httpError(402, 'Poster has no payment method on file');
+  }
+
+  // An awarded bid overrides the listed price
+  const amount = toMinorUnits(gigData.agreedPrice ?? gigData.price);
+  // Each attempt gets its own idempotency key; reusing one would make Stripe replay an earlier decline
+  const gigRef = db.collection('gigs').doc(gigId);
+  const attempt = await db.runTransaction(async (transaction) => {
+    const gigDoc = await transaction.get(gigRef);
+    const next = (gigDoc.data().escrowAttempts || 0) + 1;
+    transaction.update(gigRef, { escrowAttempts: next });
+    return next;
+  });
+  let intent;
+  try {
+    intent = await stripe.paymentIntents.create({
+      amount,
+      currency: CURRENCY,
+      customer: poster.stripeCustomerId,
+      payment_method: poster.defaultPaymentMethodId,
+      off_session: true,
+      confirm: true,
+      transfer_group: gigId,
+      metadata: { gigId, posterId: gigData.userId, workerId: gigData.acceptedBy }
+    }, { idempotencyKey: `escrow-${gigId}-${gigData.acceptedBy}-${attempt}` });
+  } catch (error) {
+    logger.error('Escrow charge failed:', { gigId, error: error.message });
+    throw httpError(402, 'Escrow charge failed');
+  }
+
+  const status = intent.status === 'succeeded' ? 'held' : 'pending';
+  await recordPayment(gigId, {
+    status,
+    amount,
+    currency: CURRENCY,
+    paymentIntentId: intent.id
+  }, {
+    type: 'escrow_charge',
+    amount,
+    stripeId: intent.id,
+    status: intent.status,
+    actor: gigData.acceptedBy
+  });
+  logger.info('Escrow held:', { gigId, paymentIntentId: intent.id, status });
+  return { status, amount, paymentIntentId: intent.id };
+}
+
+/**
+ * Release escrowed funds to the assigned worker's wallet, inside the transaction that
+ * completes the gig (pass it as transitionGig's `within`, with the gig data it read).
+ * The money stays on the platform balance until the worker requests a payout.
+ * Returns null for gigs without a payment.
+ */
+function releaseEscrow(transaction, gigRef, gigData, actorId) {
+  const current = gigData.payment;
+  if (!current) return null;
+  if (current.status !== 'held') {
+    throw httpError(409, 'Escrowed payment is not available for release');
+  }
+
+  const ledgerEntryId = credit(transaction, gigData.acceptedBy, current.amount, {
+    source: 'gig',
+    reference: { gigId: gigRef.id },
+    description: gigData.title
+  });
+  transaction.update(gigRef, {
+    payment: { ...current, status: 'released', walletEntryId: ledgerEntryId, updatedAt: admin.firestore.FieldValue.serverTimestamp() }
+  });
+  transaction.set(gigRef.collection('payments').doc(), {
+    type: 'release',
+    amount: current.amount,
+    currency: current.currency,
+    stripeId: null,
+    status: 'succeeded',
+    actor: actorId,
+    workerId: gigData.acceptedBy,
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  return { status: 'released', amount: current.amount };
+}
+
+// Escrow a cancellation leaves alone: a Stripe chargeback decides where the money goes,
+// and a refund already under way needs no second one
+const UNREFUNDABLE_STATUSES = ['disputed', 'refund_pending', 'refunding'];
+
+// Mark the payment as being refunded, in the transaction that cancels the gig. Returns the
+// payment as it was, or null when there is nothing to refund.
+function claimRefund(transaction, gigRef, gigData) {
+  const payment = gigData.payment;
+  if (!payment || ['failed', 'refunded', ...UNREFUNDABLE_STATUSES].includes(payment.status)) return null;
+  if (payment.status !== 'held' && payment.status !== 'pending') {
+    throw httpError(409, 'Escrowed payment cannot be refunded');
+  }
+  transaction.update(gigRef, {
+    'payment.status': 'refunding',
+    'payment.updatedAt': admin.firestore.FieldValue.serverTimestamp()
+  });
+  return payment;
+}
+
+// Return claimed funds to the poster; a charge that is still processing is cancelled instead
+async function refundClaimed(gigId, payment, actorId) {
+  if (payment.status === 'pending') {
+    const intent = await stripe.paymentIntents.cancel(payment.paymentIntentId, {}, { idempotencyKey: `cancel-${gigId}` });
+    await recordPayment(gigId, { ...payment, status: 'refunded' }, {
+      type: 'cancel',
+      amount: payment.amount,
+      stripeId: intent.id,
+      status: intent.status,
+      actor: actorId
+    });
+    return { status: 'refunded' };
+  }
+
+  const refund = await stripe.refunds.create({
+    payment_intent: payment.paymentIntentId,
+    metadata: { gigId }
+  }, { idempotencyKey: `refund-${gigId}` });
+
+  const status = refund.status === 'succeeded' ? 'refunded' : 'refund_pending';
+  await recordPayment(gigId, { ...payment, status, refundId: refund.id }, {
+    type: 'refund',
+    amount: payment.amount,
+    stripeId: refund.id,
+    status: refund.status,
+    actor: actorId
+  });
+  logger.info('Escrow refunded:', { gigId, refundId: refund.id, status });
+  return { status, refundId: refund.id };
+}
+
+/**
+ * Cancel a gig and return its escrow to the poster. The status change and the claim on the
+ * payment commit together (with anything `within` adds); the Stripe call then runs from the
+ * claimed state under a fixed idempotency key. If Stripe refuses it, the gig goes back to
+ * its previous status with the payment as it was. If the outcome is unknown the payment
+ * stays `refunding` and the charge.refunded webhook settles it.
+ */
+async function cancelWithRefund(gigId, { from, actorId, role, note, within }) {
+  let claimed = null;
+  await transitionGig(gigId, {
+    from,
+    to: 'cancelled',
+    actorId,
+    role,
+    note,
+    within: (transaction, gigRef, gigData) => {
+      claimed = claimRefund(transaction, gigRef, gigData);
+      if (within) within(transaction, gigRef, gigData);
+    }
+  });
+  if (!claimed) return null;
+
+  try {
+    return await refundClaimed(gigId, claimed, actorId);
+  } catch (error) {
+    if (!isDefinitiveFailure(error)) {
+      logger.error('Escrow refund outcome unknown, left as refunding:', { gigId, error: error.message });
+      return { status: 'refunding' };
+    }
+    logger.error('Escrow refund failed, reverting cancellation:', { gigId, error: error.message });
+    await revertTransition(gigId, { from, to: 'cancelled', actorId, note: 'Refund failed', restore: { payment: claimed } });
+    throw httpError(502, 'Refund failed, the gig was not cancelled');
+  }
+}
+
+async function findGigByPaymentIntent(paymentIntentId) {
+  const snapshot = await db.collection('gigs')
+    .where('payment.paymentIntentId', '==', paymentIntentId)
+    .limit(1)
+    .get();
+  return snapshot.empty ? null : snapshot.docs[0].ref;
+}
+
+// Which payment status each webhook event moves a gig to, and from which statuses
+const WEBHOOK_TRANSITIONS = {
+  'payment_intent.succeeded': { to: 'held', from: ['pending', 'failed'] },
+  'payment_intent.payment_failed': { to: 'failed', from: ['pending'] },
+  'charge.refunded': { to: 'refunded', from: ['held', 'refunding', 'refund_pending', 'disputed'] },
+  'charge.dispute.created': { to: 'disputed', from: ['held', 'released'] }
+};
+
+async function resolveGigRef(event) {
+  const object = event.data.object;
+  if (event.type.startsWith('payment_intent.')) {
+    return object.metadata?.gigId
+      ? db.collection('gigs').doc(object.metadata.gigId)
+      : findGigByPaymentIntent(object.id);
+  }
+  // Charges and disputes both carry the originating payment intent
+  return object.payment_intent ? findGigByPaymentIntent(object.payment_intent) : null;
+}
+
+/**
+ * Reconcile a verified Stripe event onto the gig document. The ledger entry is
+ * keyed by event id, so redelivered events are ignored.
+ */
+async function handleStripeEvent(event) {
+  const transition = WEBHOOK_TRANSITIONS[event.type];
+  if (!transition) return false;
+
+  const gigRef = await resolveGigRef(event);
+  if (!gigRef) {
+    logger.warn('Stripe event without matching gig:', { eventId: event.id, type: event.type });
+    return false;
+  }
+
+  return db.runTransaction(async (transaction) => {
+    const ledgerRef = gigRef.collection('payments').doc(event.id);
+    const [gigDoc, ledgerDoc] = await Promise.all([
+      transaction.get(gigRef),
+      transaction.get(ledgerRef)
+    ]);
+    if (!gigDoc.exists || ledgerDoc.exists) return false;
+
+    const payment = gigDoc.data().payment;
+    const object = event.data.object;
+    const applied = Boolean(payment) && transition.from.includes(payment.status);
+    if (applied) {
+      transaction.update(gigRef, {
+        'payment.status': transition.to,
+        'payment.updatedAt': admin.firestore.FieldValue.serverTimestamp()
+      });
+    }
+    transaction.set(ledgerRef, {
+      type: 'webhook',
+      event: event.type,
+      stripeId: object.id,
+      amount: object.amount ?? null,
+      currency: object.currency || payment?.currency || CURRENCY,
+      status: applied ? transition.to : payment?.status || null,
+      applied,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return applied;
+  });
+}
+
+module.exports = {
+  ensureCustomer,
+  createSetupIntent,
+  saveDefaultPaymentMethod,
+  holdEscrow,
+  releaseEscrow,
+  cancelWithRefund,
+  handleStripeEvent,
+  isDefinitiveFailure,
+  toMinorUnits
+};
@@ -0,0 +1,168 @@
+const { db } = require('../config/firebase');
+const admin = require('firebase-admin');
+const stripe = require('../config/stripe');
+const logger = require('../logger');
+const { httpError } = require('./errors');
+const { CURRENCY, credit, placeHold, settleHold } = require('./wallet');
+const { isDefinitiveFailure } = require('./payments');
+
+const MIN_PAYOUT_CENTS = Number(process.env.MIN_PAYOUT_CENTS || 100);
+
+// PAYOUT_PROVIDER=stub skips Stripe entirely, for local development and tests
+const transferProvider = {
+  async transfer({ amountCents, destination, payoutId, userId }) {
+    if (process.env.PAYOUT_PROVIDER === 'stub') {
+      logger.info('Stub payout transfer:', { payoutId, amountCents, destination });
+      return { id: `tr_stub_${payoutId}` };
+    }
+    return stripe.transfers.create({
+      amount: amountCents,
+      currency: CURRENCY,
+      destination,
+      metadata: { payoutId, userId }
+    }, { idempotencyKey: `payout-${payoutId}` });
+  }
+};
+
+// Stripe keeps idempotency keys for 24 hours; after that a retry could transfer twice
+const RETRY_WINDOW_MS = 23 * 60 * 60 * 1000;
+const RECONCILE_AFTER_MS = Number(process.env.PAYOUT_RECONCILE_AFTER_MINUTES || 10) * 60 * 1000;
+
+// Bookkeeping once the money has left: the transfer id is saved first so a failure after it
+// is finished by reconcilePayouts instead of being mistaken for a failed transfer
+async function completePayout(payoutRef, { userId, holdId }, transferId) {
+  await payoutRef.update({ transferId });
+  await settleHold(userId, holdId, 'captured');
+  await payoutRef.update({ status: 'paid', paidAt: admin.firestore.FieldValue.serverTimestamp() });
+}
+
+async function failPayout(payoutRef, { userId, holdId }, error) {
+  await settleHold(userId, holdId, 'released');
+  await payoutRef.update({ status: 'failed', failureReason: error.message });
+}
+
+/**
+ * Pay part of a user's available balance out to their Stripe Connect account. The amount
+ * is held first, captured when the transfer succeeds and released only when Stripe
+ * definitely refused it. Unclear outcomes stay `processing` for reconcilePayouts.
+ */
+async function requestPayout(userId, amountCents) {
+  if (amountCents < MIN_PAYOUT_CENTS) {
+    throw httpError(400, `Minimum payout is ${MIN_PAYOUT_CENTS} cents`);
+  }
+  const userDoc = await db.collection('users').doc(userId).get();
+  const destination = userDoc.data()?.stripeAccountId;
+  if (!destination && process.env.PAYOUT_PROVIDER !== 'stub') {
+    throw httpError(409, 'No connected payout account');
+  }
+
+  const payoutRef = db.collection('payouts').doc();
+  const holdId = await placeHold(userId, amountCents, { reason: 'payout', reference: { payoutId: payoutRef.id } });
+  const payout = { userId, amountCents, currency: CURRENCY, holdId, destination: destination || null };
+  await payoutRef.set({
+    ...payout,
+    status: 'processing',
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  let transfer;
+  try {
+    transfer = await transferProvider.transfer({ amountCents, destination, payoutId: payoutRef.id, userId });
+  } catch (error) {
+    if (!isDefinitiveFailure(error)) {
+      logger.error('Payout transfer outcome unknown, left for reconciliation:', { payoutId: payoutRef.id, userId, error: error.message });
+      return { id: payoutRef.id, status: 'processing', amountCents };
+    }
+    logger.error('Payout transfer failed:', { payoutId: payoutRef.id, userId, error: error.message });
+    await failPayout(payoutRef, payout, error);
+    throw httpError(502, 'Payout transfer failed');
+  }
+
+  try {
+    await completePayout(payoutRef, payout, transfer.id);
+  } catch (error) {
+    logger.error('Error recording paid payout, left for reconciliation:', { payoutId: payoutRef.id, transferId: transfer.id, error: error.message });
+    return { id: payoutRef.id, status: 'processing', amountCents, transferId: transfer.id };
+  }
+  logger.info('Payout paid:', { payoutId: payoutRef.id, userId, amountCents });
+  return { id: payoutRef.id, status: 'paid', amountCents, transferId: transfer.id };
+}
+
+/**
+ * Settle payouts stuck in `processing`. Ones with a transfer id only need their bookkeeping;
+ * the rest are retried with the same idempotency key, which returns the original transfer
+ * if there was one. Past Stripe's idempotency window they are flagged for a person to check.
+ */
+async function reconcilePayouts(now = new Date()) {
+  const snapshot = await db.collection('payouts')
+    .where('status', '==', 'processing')
+    .where('createdAt', '<', admin.firestore.Timestamp.fromMillis(now.getTime() - RECONCILE_AFTER_MS))
+    .limit(100)
+    .get();
+
+  let settled = 0;
+  for (const doc of snapshot.docs) {
+    const payout = doc.data();
+    try {
+      if (payout.transferId) {
+        await completePayout(doc.ref, payout, payout.transferId);
+      } else if (now.getTime() - payout.createdAt.toMillis() > RETRY_WINDOW_MS) {
+        if (!payout.needsReview) {
+          logger.error('Payout needs manual review:', { payoutId: doc.id });
+          await doc.ref.update({ needsReview: true });
+        }
+        continue;
+      } else {
+        try {
+          const transfer = await transferProvider.transfer({
+            amountCents: payout.amountCents,
+            destination: payout.destination,
+            payoutId: doc.id,
+            userId: payout.userId
+          });
+          await completePayout(doc.ref, payout, transfer.id);
+        } catch (error) {
+          if (!isDefinitiveFailure(error)) throw error;
+          await failPayout(doc.ref, payout, error);
+        }
+      }
+      settled++;
+    } catch (error) {
+      logger.error('Error reconciling payout:', { payoutId: doc.id, error: error.message });
+    }
+  }
+  return settled;
+}
+
+/**
+ * Credit the wallet for a reversed Stripe transfer. `amount_reversed` is cumulative, so
+ * each event credits only what earlier ones did not, and partial reversals credit just
+ * their part. A reversal that arrives while the payout is still `processing` finishes
+ * the payout's bookkeeping first.
+ */
+async function reversePayout(payoutId, transfer) {
+  const payoutRef = db.collection('payouts').doc(payoutId);
+  const payoutDoc = await payoutRef.get();
+  if (!payoutDoc.exists) return false;
+  if (payoutDoc.data().status === 'processing') {
+    await completePayout(payoutRef, payoutDoc.data(), transfer.id);
+  }
+
+  return db.runTransaction(async (transaction) => {
+    const current = await transaction.get(payoutRef);
+    const { userId, amountCents, status, reversedCents: creditedCents = 0 } = current.data();
+    if (status !== 'paid' && status !== 'partially_reversed') return false;
+
+    const reversedCents = Math.min(transfer.amount_reversed, amountCents);
+    if (reversedCents <= creditedCents) return false;
+    credit(transaction, userId, reversedCents - creditedCents, { source: 'payout_reversal', reference: { payoutId } });
+    transaction.update(payoutRef, {
+      status: reversedCents === amountCents ? 'reversed' : 'partially_reversed',
+      reversedCents,
+      reversedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return true;
+  });
+}
+
+module.exports = { requestPayout, reconcilePayouts, reversePayout, MIN_PAYOUT_CENTS };
@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+const { db } = require('../config/firebase');
+const admin = require('firebase-admin');
+const sms = require('../config/sms');
+const { httpError } = require('./errors');
+
+const CODE_TTL_MS = Number(process.env.PHONE_CODE_TTL_MINUTES || 10) * 60 * 1000;
+const RESEND_COOLDOWN_MS = Number(process.env.PHONE_RESEND_COOLDOWN_SECONDS || 60) * 1000;
+const MAX_ATTEMPTS = Number(process.env.PHONE_CODE_MAX_ATTEMPTS || 5);
+
+const verificationRef = (userId) => db.collection('phoneVerifications').doc(userId);
+
+// Codes are stored hashed and bound to the user, so a leaked document cannot be replayed
+const hashCode = (userId, code) => crypto
+  .createHmac('sha256', process.env.JWT_SECRET)
+  .update(`${userId}:${code}`)
+  .digest('hex');
+
+/**
+ * Text a fresh 6-digit code to the phone number on the user's profile. A new code
+ * replaces the previous one and resets its attempt counter.
+ */
+async function sendCode(userId) {
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  const now = Date.now();
+
+  const phoneNumber = await db.runTransaction(async (transaction) => {
+    const [userDoc, pendingDoc] = await transaction.getAll(db.collection('users').doc(userId), verificationRef(userId));
+    if (!userDoc.exists) {
+      throw httpError(404, 'User not found');
+    }
+    const user = userDoc.data();
+    if (user.phoneVerified) {
+      throw httpError(409, 'Phone number is already verified');
+    }
+    if (pendingDoc.exists && now - pendingDoc.data().sentAt.toMillis() < RESEND_COOLDOWN_MS) {
+      throw httpError(429, 'Please wait before requesting another code');
+    }
+
+    transaction.set(verificationRef(userId), {
+      phoneNumber: user.phoneNumber,
+      codeHash: hashCode(userId, code),
+      attempts: 0,
+      sentAt: admin.firestore.Timestamp.fromMillis(now),
+      expiresAt: admin.firestore.Timestamp.fromMillis(now + CODE_TTL_MS)
+    });
+    return user.phoneNumber;
+  });
+
+  await sms.send(phoneNumber, `Your Oodoo verification code is ${code}. It expires in ${CODE_TTL_MS / 60000} minutes.`);
+  return { phoneNumber, expiresInSeconds: CODE_TTL_MS / 1000 };
+}
+
+/**
+ * Check a code against the pending verification. Wrong codes count towards the attempt
+ * limit; a correct one marks the user's phone as verified and consumes the code.
+ */
+async function verifyCode(userId, code) {
+  const userRef = db.collection('users').doc(userId);
+  const result = await db.runTransaction(async (transaction) => {
+    const [userDoc, pendingDoc] = await transaction.getAll(userRef, verificationRef(userId));
+    if (!pendingDoc.exists) {
+      return { error: httpError(400, 'No verification code pending') };
+    }
+    const pending = pendingDoc.data();
+    if (pending.expiresAt.toMillis() < Date.now()) {
+      transaction.delete(verificationRef(userId));
+      return { error: httpError(400, 'Verification code expired') };
+    }
+    if (pending.attempts >= MAX_ATTEMPTS) {
+      return { error: httpError(429, 'Too many attempts. Request a new code.') };
+    }
+    // The code was sent to a number the profile no longer has
+    if (!userDoc.exists || userDoc.data().phoneNumber !== pending.phoneNumber) {
+      transaction.delete(verificationRef(userId));
+      return { error: httpError(409, 'Phone number changed. Request a new code.') };
+    }
+
+    const expected = Buffer.from(pending.codeHash, 'hex');
+    const actual = Buffer.from(hashCode(userId, code), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      // Count the miss even though the request fails, so the attempt limit holds
+      transaction.update(verificationRef(userId), { attempts: admin.firestore.FieldValue.increment(1) });
+      return { error: httpError(400, 'Invalid verification code') };
+    }
+
+    transaction.update(userRef, {
+      phoneVerified: true,
+      phoneVerifiedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    transaction.delete(verificationRef(userId));
+    return { phoneNumber: pending.phoneNumber };
+  });
+
+  if (result.error) throw result.error;
+  return result;
+}
+
+module.exports = { sendCode, verifyCode };
@@ -0,0 +1,57 @@
+const { EventEmitter } = require('events');
+
+/**
+ * In-process broker: the default when no Redis is configured. Instances created in the
+ * same process can share one broker, which is how the cluster harness stands in for Redis.
+ */
+function createMemoryBroker() {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+  const hashes = new Map();
+  const hash = (key) => {
+    if (!hashes.has(key)) hashes.set(key, new Map());
+    return hashes.get(key);
+  };
+
+  return {
+    driver: 'memory',
+
+    // Delivery is deferred like a network hop, so publishers never see their own message synchronously
+    async publish(channel, payload) {
+      setImmediate(() => emitter.emit(channel, payload));
+    },
+
+    async subscribe(channel, handler) {
+      emitter.on(channel, handler);
+      return async () => emitter.off(channel, handler);
+    },
+
+    async hincrby(key, field, delta) {
+      const value = (hash(key).get(field) || 0) + delta;
+      hash(key).set(field, value);
+      return value;
+    },
+
+    async hset(key, field, value) {
+      hash(key).set(field, String(value));
+    },
+
+    async hgetall(key) {
+      return Object.fromEntries(hash(key));
+    },
+
+    async hdel(key, field) {
+      hash(key).delete(field);
+    },
+
+    async del(key) {
+      hashes.delete(key);
+    },
+
+    async close() {
+      emitter.removeAllListeners();
+    }
+  };
+}
+
+module.exports = { createMemoryBroker };
@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+
+const NODES_KEY = 'presence:nodes';
+const nodeKey = (nodeId) => `presence:node:${nodeId}`;
+
+/**
+ * Cluster-wide online/offline tracking. Each node counts its own connections per user in
+ * its own hash and heartbeats into a shared one; a user is online while any live node
+ * counts them. A crashed node simply stops heartbeating and its counts stop mattering.
+ */
+function createPresence(broker, { nodeId = crypto.randomUUID(), heartbeatMs = 10000 } = {}) {
+  const timeoutMs = heartbeatMs * 3;
+
+  const heartbeat = () => broker.hset(NODES_KEY, nodeId, Date.now());
+  const ready = heartbeat();
+  const timer = setInterval(heartbeat, heartbeatMs);
+  timer.unref();
+
+  async function liveNodes() {
+    const nodes = await broker.hgetall(NODES_KEY);
+    const now = Date.now();
+    const live = [];
+    await Promise.all(Object.entries(nodes).map(async ([id, lastSeen]) => {
+      if (now - Number(lastSeen) <= timeoutMs) {
+        live.push(id);
+      } else {
+        await Promise.all([broker.hdel(NODES_KEY, id), broker.del(nodeKey(id))]);
+      }
+    }));
+    return live;
+  }
+
+  // Connection count per user across every live node
+  async function counts(userIds) {
+    const nodes = await liveNodes();
+    const perNode = await Promise.all(nodes.map(id => broker.hgetall(nodeKey(id))));
+    const totals = Object.fromEntries(userIds.map(userId => [userId, 0]));
+    perNode.forEach(nodeCounts => userIds.forEach(userId => {
+      totals[userId] += Number(nodeCounts[userId] || 0);
+    }));
+    return totals;
+  }
+
+  return {
+    nodeId,
+
+    // Resolves true when this is the user's first connection anywhere in the cluster
+    async connect(userId) {
+      await ready;
+      await broker.hincrby(nodeKey(nodeId), userId, 1);
+      return (await counts([userId]))[userId] === 1;
+    },
+
+    // Resolves true when the user has no connections left anywhere in the cluster
+    async disconnect(userId) {
+      const remaining = await broker.hincrby(nodeKey(nodeId), userId, -1);
+      if (remaining <= 0) await broker.hdel(nodeKey(nodeId), userId);
+      return (await counts([userId]))[userId] === 0;
+    },
+
+    async isOnline(userIds) {
+      const totals = await counts(userIds);
+      return Object.fromEntries(userIds.map(userId => [userId, totals[userId] > 0]));
+    },
+
+    async close() {
+      clearInterval(timer);
+      await Promise.all([broker.hdel(NODES_KEY, nodeId), broker.del(nodeKey(nodeId))]);
+    }
+  };
+}
+
+module.exports = { createPresence };
@@ -0,0 +1,39 @@
+const { createClient } = require('redis');
+const logger = require('../../logger');
+
+/**
+ * Broker backed by any Redis-protocol server (Redis, Valkey, KeyDB...). Pub/sub needs a
+ * dedicated connection, so one client publishes and runs commands and a duplicate subscribes.
+ */
+async function createRedisBroker(url) {
+  const client = createClient({ url });
+  const subscriber = client.duplicate();
+  client.on('error', (error) => logger.error('Redis client error:', { error: error.message }));
+  subscriber.on('error', (error) => logger.error('Redis subscriber error:', { error: error.message }));
+  await Promise.all([client.connect(), subscriber.connect()]);
+
+  return {
+    driver: 'redis',
+
+    async publish(channel, payload) {
+      await client.publish(channel, payload);
+    },
+
+    async subscribe(channel, handler) {
+      await subscriber.subscribe(channel, handler);
+      return () => subscriber.unsubscribe(channel, handler);
+    },
+
+    hincrby: (key, field, delta) => client.hIncrBy(key, field, delta),
+    hset: (key, field, value) => client.hSet(key, field, String(value)),
+    hgetall: (key) => client.hGetAll(key),
+    hdel: (key, field) => client.hDel(key, field),
+    del: (key) => client.del(key),
+
+    async close() {
+      await Promise.all([subscriber.quit(), client.quit()]);
+    }
+  };
+}
+
+module.exports = { createRedisBroker };
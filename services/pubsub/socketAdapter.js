@@ -0,0 +1,47 @@
+const { ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+
+// Cluster messages travel as JSON, so only JSON-safe payloads are supported across nodes
+const encode = (message) => JSON.stringify(message);
+const decode = (payload) => JSON.parse(payload);
+
+/**
+ * Socket.IO adapter that relays room broadcasts, joins/leaves and fetchSockets through a
+ * broker, so io.to(room).emit() reaches sockets connected to any replica.
+ */
+class BrokerAdapter extends ClusterAdapterWithHeartbeat {
+  constructor(nsp, broker, opts = {}) {
+    super(nsp, opts);
+    this.broker = broker;
+    this.prefix = `${opts.key || 'socket.io'}#${nsp.name}#`;
+    this.subscriptions = Promise.all([
+      broker.subscribe(this.prefix, (payload) => this.onMessage(decode(payload))),
+      broker.subscribe(`${this.prefix}${this.uid}#`, (payload) => this.onResponse(decode(payload)))
+    ]);
+  }
+
+  // Announce ourselves only once we can hear the answers
+  async init() {
+    await this.subscriptions;
+    super.init();
+  }
+
+  async doPublish(message) {
+    await this.broker.publish(this.prefix, encode(message));
+  }
+
+  async doPublishResponse(requesterUid, response) {
+    await this.broker.publish(`${this.prefix}${requesterUid}#`, encode(response));
+  }
+
+  close() {
+    super.close();
+    this.subscriptions.then(unsubscribes => Promise.all(unsubscribes.map(unsubscribe => unsubscribe())));
+  }
+}
+
+// io.adapter() expects a constructor taking the namespace
+const createBrokerAdapter = (broker, opts) => function (nsp) {
+  return new BrokerAdapter(nsp, broker, opts);
+};
+
+module.exports = { createBrokerAdapter };
@@ -0,0 +1,24 @@
+// Roles come from the users document and are copied into access tokens at login
+const ROLES = ['user', 'moderator', 'admin'];
+
+const MODERATOR_PERMISSIONS = [
+  'users:read',
+  'users:moderate',
+  'gigs:moderate',
+  'ads:moderate',
+  'reports:read',
+  'reports:resolve'
+];
+
+const ROLE_PERMISSIONS = {
+  user: [],
+  moderator: MODERATOR_PERMISSIONS,
+  admin: [...MODERATOR_PERMISSIONS, 'users:roles', 'audit:read']
+};
+
+const hasPermission = (role, permission) => (ROLE_PERMISSIONS[role] || []).includes(permission);
+
+// Staff can only act on accounts below their own role (admins on everyone but themselves)
+const outranks = (actorRole, targetRole) => ROLES.indexOf(actorRole) > ROLES.indexOf(targetRole || 'user');
+
+module.exports = { ROLES, ROLE_PERMISSIONS, hasPermission, outranks };
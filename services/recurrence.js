@@ -0,0 +1,137 @@
+const { httpError } = require('./errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA']; // Indexed like Date#getUTCDay
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+// Stops runaway iteration on rules that rarely match (e.g. the 31st every month for years)
+const MAX_ITERATIONS = 5000;
+
+function parseUntil(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z)?$/.exec(value);
+  if (!match) return null;
+  const [, y, m, d, hh = '23', mm = '59', ss = '59'] = match;
+  return new Date(Date.UTC(+y, +m - 1, +d, +hh, +mm, +ss));
+}
+
+/**
+ * Parse the subset of RFC 5545 RRULE that recurring gigs use:
+ * FREQ=DAILY|WEEKLY|MONTHLY, INTERVAL, BYDAY (weekly only), COUNT and UNTIL.
+ * e.g. "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;COUNT=10". Times follow the series start (UTC).
+ */
+function parseRule(rrule) {
+  const parts = Object.fromEntries(String(rrule).replace(/^RRULE:/i, '').split(';').filter(Boolean).map((part) => {
+    const [key, value] = part.split('=');
+    return [key.toUpperCase(), (value || '').toUpperCase()];
+  }));
+
+  const freq = parts.FREQ;
+  if (!FREQUENCIES.includes(freq)) {
+    throw httpError(400, `Recurrence FREQ must be one of: ${FREQUENCIES.join(', ')}`);
+  }
+  const unknown = Object.keys(parts).filter(key => !['FREQ', 'INTERVAL', 'BYDAY', 'COUNT', 'UNTIL'].includes(key));
+  if (unknown.length) {
+    throw httpError(400, `Unsupported recurrence parts: ${unknown.join(', ')}`);
+  }
+
+  const rule = { freq, interval: 1, byDay: null, count: null, until: null };
+  if (parts.INTERVAL !== undefined) {
+    rule.interval = Number(parts.INTERVAL);
+    if (!Number.isInteger(rule.interval) || rule.interval < 1 || rule.interval > 52) {
+      throw httpError(400, 'Recurrence INTERVAL must be a whole number from 1 to 52');
+    }
+  }
+  if (parts.BYDAY !== undefined) {
+    if (freq !== 'WEEKLY') {
+      throw httpError(400, 'Recurrence BYDAY is only supported with FREQ=WEEKLY');
+    }
+    const days = parts.BYDAY.split(',');
+    if (!days.length || days.some(day => !WEEKDAYS.includes(day))) {
+      throw httpError(400, `Recurrence BYDAY must list days from: ${WEEKDAYS.join(', ')}`);
+    }
+    rule.byDay = [...new Set(days)];
+  }
+  if (parts.COUNT !== undefined && parts.UNTIL !== undefined) {
+    throw httpError(400, 'Recurrence can have COUNT or UNTIL, not both');
+  }
+  if (parts.COUNT !== undefined) {
+    rule.count = Number(parts.COUNT);
+    if (!Number.isInteger(rule.count) || rule.count < 1 || rule.count > 1000) {
+      throw httpError(400, 'Recurrence COUNT must be a whole number from 1 to 1000');
+    }
+  }
+  if (parts.UNTIL !== undefined) {
+    const until = parseUntil(parts.UNTIL);
+    if (!until) {
+      throw httpError(400, 'Recurrence UNTIL must look like 20250131 or 20250131T170000Z');
+    }
+    rule.until = until.toISOString();
+  }
+  return rule;
+}
+
+// Every occurrence from the start in order, honouring COUNT and UNTIL
+function* occurrences(rule, startAt) {
+  const start = new Date(startAt);
+  const until = rule.until ? new Date(rule.until) : null;
+  let emitted = 0;
+
+  for (let step = 0; step < MAX_ITERATIONS; step++) {
+    let candidates;
+    if (rule.freq === 'DAILY') {
+      candidates = [new Date(start.getTime() + step * rule.interval * DAY_MS)];
+    } else if (rule.freq === 'WEEKLY') {
+      const weekStart = start.getTime() + step * rule.interval * 7 * DAY_MS;
+      if (!rule.byDay) {
+        candidates = [new Date(weekStart)];
+      } else {
+        // The listed days of the week holding weekStart (weeks start on Monday, the RRULE default),
+        // at the start's time of day
+        const mondayOffset = (day) => (day + 6) % 7;
+        const monday = weekStart - mondayOffset(new Date(weekStart).getUTCDay()) * DAY_MS;
+        candidates = rule.byDay
+          .map(day => new Date(monday + mondayOffset(WEEKDAYS.indexOf(day)) * DAY_MS))
+          .sort((a, b) => a - b)
+          .filter(date => date >= start);
+      }
+    } else {
+      // Monthly on the start's day of the month; months without that day are skipped
+      const date = new Date(start);
+      date.setUTCDate(1);
+      date.setUTCMonth(start.getUTCMonth() + step * rule.interval);
+      const month = date.getUTCMonth();
+      date.setUTCDate(start.getUTCDate());
+      candidates = date.getUTCMonth() === month ? [date] : [];
+    }
+
+    for (const date of candidates) {
+      if (until && date > until) return;
+      if (rule.count && emitted >= rule.count) return;
+      emitted++;
+      yield date;
+    }
+  }
+}
+
+// Occurrences with from <= date < to
+function occurrencesBetween(rule, startAt, from, to) {
+  const dates = [];
+  for (const date of occurrences(rule, startAt)) {
+    if (date >= to) break;
+    if (date >= from) dates.push(date);
+  }
+  return dates;
+}
+
+// The first occurrence at or after `from`, or null when the rule has run out
+function nextOccurrence(rule, startAt, from) {
+  for (const date of occurrences(rule, startAt)) {
+    if (date >= from) return date;
+  }
+  return null;
+}
+
+module.exports = {
+  parseRule,
+  occurrencesBetween,
+  nextOccurrence
+};
@@ -0,0 +1,67 @@
+const { db } = require('../config/firebase');
+const admin = require('firebase-admin');
+const { httpError } = require('./errors');
+const { roleFor } = require('./gigLifecycle');
+
+const REVIEW_WINDOW_DAYS = Number(process.env.REVIEW_WINDOW_DAYS || 14);
+const RECENT_REVIEWS = 5;
+
+/**
+ * Record one party's review of the other on a completed gig and fold it into the
+ * reviewee's reputation in the same transaction. Review ids are `${gigId}_${reviewerId}`,
+ * which makes the one-review-per-party rule a simple existence check.
+ */
+async function submitReview(gigId, reviewerId, { rating, review }) {
+  const gigRef = db.collection('gigs').doc(gigId);
+  const reviewRef = db.collection('reviews').doc(`${gigId}_${reviewerId}`);
+
+  return db.runTransaction(async (transaction) => {
+    const [gigDoc, reviewDoc] = await Promise.all([transaction.get(gigRef), transaction.get(reviewRef)]);
+    if (!gigDoc.exists) {
+      throw httpError(404, 'Gig not found');
+    }
+
+    const gigData = gigDoc.data();
+    const role = roleFor(gigData, reviewerId);
+    if (!role) {
+      throw httpError(403, 'Only the poster and the assigned worker can review this gig');
+    }
+    if (gigData.status !== 'completed') {
+      throw httpError(409, 'Gig must be completed before it can be reviewed');
+    }
+    const completedAt = gigData.completedAt?.toMillis?.() ?? 0;
+    if (Date.now() - completedAt > REVIEW_WINDOW_DAYS * 24 * 60 * 60 * 1000) {
+      throw httpError(409, 'Review window for this gig has closed');
+    }
+    if (reviewDoc.exists) {
+      throw httpError(409, 'You have already reviewed this gig');
+    }
+
+    const revieweeId = role === 'poster' ? gigData.acceptedBy : gigData.userId;
+    const revieweeRef = db.collection('users').doc(revieweeId);
+    const revieweeDoc = await transaction.get(revieweeRef);
+    const reputation = revieweeDoc.data()?.reputation || { total: 0, count: 0, recentReviews: [] };
+
+    const createdAt = admin.firestore.Timestamp.now();
+    const reviewData = { gigId, reviewerId, revieweeId, reviewerRole: role, rating, review, createdAt };
+    transaction.set(reviewRef, reviewData);
+
+    const total = reputation.total + rating;
+    const count = reputation.count + 1;
+    transaction.set(revieweeRef, {
+      reputation: {
+        total,
+        count,
+        average: Math.round((total / count) * 100) / 100,
+        recentReviews: [
+          { id: reviewRef.id, gigId, reviewerId, rating, review, createdAt },
+          ...reputation.recentReviews
+        ].slice(0, RECENT_REVIEWS)
+      }
+    }, { merge: true });
+
+    return { id: reviewRef.id, ...reviewData };
+  });
+}
+
+module.exports = { submitReview, REVIEW_WINDOW_DAYS };
@@ -0,0 +1,73 @@
+const { db } = require('../config/firebase');
+const logger = require('../logger');
+const { transitionGig } = require('./gigLifecycle');
+const { generateDueSeries } = require('./gigSeries');
+const { reconcilePayouts } = require('./payouts');
+
+const INTERVAL_MS = Number(process.env.SCHEDULER_INTERVAL_MS || 15 * 60 * 1000);
+const EXPIRE_BATCH = 200;
+
+// Open gigs whose deadline has passed nobody took; returns how many were expired. Their
+// pending bids close with them. Gigs from before deadlines were stored as timestamps only
+// match once `npm run gigs:backfill-index` has converted them.
+async function expireOverdueGigs(now = new Date()) {
+  const snapshot = await db.collection('gigs')
+    .where('status', '==', 'open')
+    .where('deadline', '<', now)
+    .limit(EXPIRE_BATCH)
+    .get();
+  let expired = 0;
+  for (const doc of snapshot.docs) {
+    try {
+      await transitionGig(doc.id, { from: 'open', to: 'expired', actorId: 'system', role: 'system', note: 'Deadline passed' });
+      expired++;
+    } catch (error) {
+      // 409: taken or cancelled since the query ran
+      if (error.status !== 409) {
+        logger.error('Error expiring gig:', { gigId: doc.id, error: error.message });
+      }
+    }
+  }
+  return expired;
+}
+
+async function runScheduledJobs(now = new Date()) {
+  const generated = await generateDueSeries(now);
+  const expired = await expireOverdueGigs(now);
+  const payouts = await reconcilePayouts(now);
+  return { generated, expired, payouts };
+}
+
+/**
+ * Run the jobs every SCHEDULER_INTERVAL_MS in this process (SCHEDULER_DISABLED=true turns
+ * it off, e.g. when scripts/run-scheduled-jobs.js runs from cron instead). Every replica may
+ * run it: occurrence ids are deterministic and expiry re-checks the status in a transaction.
+ */
+function startScheduler() {
+  if (process.env.SCHEDULER_DISABLED === 'true') return null;
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const result = await runScheduledJobs();
+      if (result.generated || result.expired || result.payouts) {
+        logger.info('Scheduled jobs ran:', result);
+      }
+    } catch (error) {
+      logger.error('Error running scheduled jobs:', error);
+    } finally {
+      running = false;
+    }
+  };
+  const timer = setInterval(tick, INTERVAL_MS);
+  timer.unref();
+  tick();
+  return timer;
+}
+
+module.exports = {
+  expireOverdueGigs,
+  runScheduledJobs,
+  startScheduler
+};
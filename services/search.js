@@ -0,0 +1,64 @@
+const admin = require('firebase-admin');
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it',
+  'my', 'need', 'of', 'on', 'or', 'the', 'to', 'with'
+]);
+const MAX_TOKENS = 100;
+
+/**
+ * Lowercased, de-duplicated keywords of the given texts. Stored on the gig as
+ * searchTokens so keyword search is a single array-contains lookup.
+ */
+function tokenize(...texts) {
+  const tokens = new Set();
+  texts.filter(Boolean).forEach(text => {
+    text.toLowerCase()
+      .normalize('NFKD').replace(/[\u0300-\u036f]/g, '') // Strip accents
+      .split(/[^a-z0-9]+/)
+      .filter(token => token.length > 1 && !STOP_WORDS.has(token))
+      .forEach(token => tokens.add(token));
+  });
+  return [...tokens].slice(0, MAX_TOKENS);
+}
+
+// Firestore values are not JSON-safe, so timestamps are tagged on the way out. They keep
+// their nanoseconds: rounded to milliseconds, the page boundary would repeat or skip
+// documents written in the same millisecond.
+const encodeValue = (value) => (value instanceof admin.firestore.Timestamp
+  ? { ts: [value.seconds, value.nanoseconds] }
+  : value);
+const decodeValue = (value) => {
+  if (!value || typeof value !== 'object' || !('ts' in value)) return value;
+  return Array.isArray(value.ts)
+    ? new admin.firestore.Timestamp(value.ts[0], value.ts[1])
+    : admin.firestore.Timestamp.fromMillis(value.ts); // Cursors issued before nanoseconds were kept
+};
+
+/**
+ * Opaque cursor holding the order-by values and id of the last document of a page.
+ * The signature ties it to the ordering it was built for.
+ */
+function encodeCursor(doc, orderFields, signature) {
+  const payload = {
+    s: signature,
+    v: orderFields.map(field => encodeValue(doc.get(field))),
+    id: doc.id
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+// Returns the startAfter values, or null when the cursor is malformed or for another ordering
+function decodeCursor(cursor, signature) {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (payload.s !== signature || !Array.isArray(payload.v) || typeof payload.id !== 'string') {
+      return null;
+    }
+    return [...payload.v.map(decodeValue), payload.id];
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = { tokenize, encodeCursor, decodeCursor };
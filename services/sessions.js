@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { db } = require('../config/firebase');
+const admin = require('firebase-admin');
+const { httpError } = require('./errors');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_MS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30) * 24 * 60 * 60 * 1000;
+// How long a node trusts a session it has seen active; bounds how late a revocation takes effect
+const ACTIVE_CACHE_MS = Number(process.env.SESSION_CACHE_MS || 5000);
+
+const sessionsRef = () => db.collection('sessions');
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// Refresh tokens are "<sessionId>.<secret>"; only the hash of the current secret is stored
+function issueTokens(sessionId, userId, claims) {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const accessToken = jwt.sign({ ...claims, userId, sid: sessionId }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+  return { accessToken, refreshToken: `${sessionId}.${secret}`, refreshHash: hashSecret(secret) };
+}
+
+/**
+ * Start a session for one device. `claims` (email, role) are copied into every access
+ * token issued for the session.
+ */
+async function createSession(userId, { claims = {}, device } = {}) {
+  const sessionRef = sessionsRef().doc();
+  const { accessToken, refreshToken, refreshHash } = issueTokens(sessionRef.id, userId, claims);
+  await sessionRef.set({
+    userId,
+    claims,
+    device: device || null,
+    refreshHash,
+    revokedAt: null,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    lastRefreshedAt: admin.firestore.FieldValue.serverTimestamp(),
+    expiresAt: admin.firestore.Timestamp.fromMillis(Date.now() + REFRESH_TOKEN_TTL_MS)
+  });
+  return { sessionId: sessionRef.id, accessToken, refreshToken };
+}
+
+/**
+ * Swap a refresh token for a new access/refresh pair. Every refresh token works once:
+ * presenting an already-rotated one means it was copied, so the whole session is revoked.
+ */
+async function refreshSession(refreshToken) {
+  const [sessionId, secret] = String(refreshToken).split('.');
+  if (!sessionId || !secret) {
+    throw httpError(401, 'Invalid refresh token');
+  }
+  const sessionRef = sessionsRef().doc(sessionId);
+
+  const result = await db.runTransaction(async (transaction) => {
+    const sessionDoc = await transaction.get(sessionRef);
+    if (!sessionDoc.exists) {
+      return { error: httpError(401, 'Invalid refresh token') };
+    }
+    const session = sessionDoc.data();
+    if (session.revokedAt || session.expiresAt.toMillis() < Date.now()) {
+      return { error: httpError(401, 'Session has ended') };
+    }
+    if (session.refreshHash !== hashSecret(secret)) {
+      // Committed despite the failed request, so the stolen token family is dead either way
+      transaction.update(sessionRef, { revokedAt: admin.firestore.FieldValue.serverTimestamp(), revokedReason: 'refresh_reuse' });
+      return { error: httpError(401, 'Refresh token reuse detected; session revoked'), reuse: true, userId: session.userId };
+    }
+
+    const tokens = issueTokens(sessionId, session.userId, session.claims);
+    transaction.update(sessionRef, {
+      refreshHash: tokens.refreshHash,
+      lastRefreshedAt: admin.firestore.FieldValue.serverTimestamp(),
+      expiresAt: admin.firestore.Timestamp.fromMillis(Date.now() + REFRESH_TOKEN_TTL_MS)
+    });
+    return { sessionId, accessToken: tokens.accessToken, refreshToken: tokens.refreshToken };
+  });
+
+  if (result.error) {
+    if (result.reuse) forget(sessionId);
+    throw result.error;
+  }
+  return result;
+}
+
+// Process-local view of session state, so verifying a token is not a read per request.
+// Both maps are only caches of Firestore: entries expire, and past SEEN_CACHE_MAX the
+// least recently stored is dropped (Maps iterate in insertion order).
+const SEEN_CACHE_MAX = Number(process.env.SESSION_CACHE_MAX || 10000);
+const REVOKED_CACHE_MS = 60 * 60 * 1000;
+const activeSeen = new Map(); // sessionId -> time it was last confirmed active
+const revokedSeen = new Map(); // sessionId -> time it was seen revoked
+
+function remember(cache, sessionId) {
+  cache.delete(sessionId);
+  cache.set(sessionId, Date.now());
+  if (cache.size > SEEN_CACHE_MAX) cache.delete(cache.keys().next().value);
+}
+
+// Time the entry was stored, or null once it is older than ttlMs (expired entries are dropped)
+function seenWithin(cache, sessionId, ttlMs) {
+  const seenAt = cache.get(sessionId);
+  if (seenAt === undefined) return null;
+  if (Date.now() - seenAt >= ttlMs) {
+    cache.delete(sessionId);
+    return null;
+  }
+  return seenAt;
+}
+
+function forget(sessionId) {
+  activeSeen.delete(sessionId);
+  remember(revokedSeen, sessionId);
+}
+
+async function isSessionActive(sessionId) {
+  if (seenWithin(revokedSeen, sessionId, REVOKED_CACHE_MS)) return false;
+  if (seenWithin(activeSeen, sessionId, ACTIVE_CACHE_MS)) return true;
+
+  const sessionDoc = await sessionsRef().doc(sessionId).get();
+  const active = sessionDoc.exists && !sessionDoc.data().revokedAt && sessionDoc.data().expiresAt.toMillis() > Date.now();
+  if (active) {
+    remember(activeSeen, sessionId);
+  } else {
+    forget(sessionId);
+  }
+  return active;
+}
+
+async function revokeSession(sessionId, reason = 'logout') {
+  await sessionsRef().doc(sessionId).update({ revokedAt: admin.firestore.FieldValue.serverTimestamp(), revokedReason: reason });
+  forget(sessionId);
+}
+
+// Log out every device; returns how many sessions were still active
+async function revokeAllSessions(userId, reason = 'logout_all') {
+  const snapshot = await sessionsRef()
+    .where('userId', '==', userId)
+    .where('revokedAt', '==', null)
+    .get();
+  const batch = db.batch();
+  snapshot.docs.forEach((doc) => {
+    batch.update(doc.ref, { revokedAt: admin.firestore.FieldValue.serverTimestamp(), revokedReason: reason });
+    forget(doc.id);
+  });
+  await batch.commit();
+  return snapshot.size;
+}
+
+module.exports = { createSession, refreshSession, isSessionActive, revokeSession, revokeAllSessions };
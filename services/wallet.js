@@ -0,0 +1,107 @@
+const { db } = require('../config/firebase');
+const admin = require('firebase-admin');
+const { httpError } = require('./errors');
+
+const CURRENCY = process.env.STRIPE_CURRENCY || 'usd';
+
+const walletRef = (userId) => db.collection('wallets').doc(userId);
+const ledgerRef = (userId) => walletRef(userId).collection('ledger');
+
+// Every balance change is an append-only ledger entry written next to the balance it changes
+function appendLedger(transaction, userId, entry) {
+  const entryRef = ledgerRef(userId).doc();
+  transaction.set(entryRef, {
+    ...entry,
+    currency: CURRENCY,
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  return entryRef.id;
+}
+
+/**
+ * Credit a user's available balance inside the caller's transaction. Credits only ever
+ * increase the balance, so they use an increment and need no read (callers may already
+ * have written in their transaction).
+ */
+function credit(transaction, userId, amountCents, { source, reference = {}, description } = {}) {
+  transaction.set(walletRef(userId), {
+    availableCents: admin.firestore.FieldValue.increment(amountCents),
+    currency: CURRENCY,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  }, { merge: true });
+  return appendLedger(transaction, userId, { type: 'credit', amountCents, source, reference, description: description || null });
+}
+
+const balanceOf = (walletDoc) => ({
+  availableCents: walletDoc.exists ? walletDoc.data().availableCents || 0 : 0,
+  heldCents: walletDoc.exists ? walletDoc.data().heldCents || 0 : 0
+});
+
+/**
+ * Move money from available to held (e.g. a payout in flight). The balance is read inside
+ * the transaction, so concurrent holds can never take it below zero.
+ */
+async function placeHold(userId, amountCents, { reason, reference = {} }) {
+  const holdRef = walletRef(userId).collection('holds').doc();
+  await db.runTransaction(async (transaction) => {
+    const walletDoc = await transaction.get(walletRef(userId));
+    const { availableCents, heldCents } = balanceOf(walletDoc);
+    if (availableCents < amountCents) {
+      throw httpError(409, 'Insufficient available balance');
+    }
+
+    transaction.set(walletRef(userId), {
+      availableCents: availableCents - amountCents,
+      heldCents: heldCents + amountCents,
+      currency: CURRENCY,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+    transaction.set(holdRef, {
+      amountCents,
+      reason,
+      reference,
+      status: 'active',
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    appendLedger(transaction, userId, { type: 'hold', amountCents, source: reason, reference: { ...reference, holdId: holdRef.id } });
+  });
+  return holdRef.id;
+}
+
+/**
+ * Settle an active hold: 'captured' means the money left the wallet, 'released' puts it
+ * back into the available balance. Settling again with the same outcome does nothing, so
+ * bookkeeping interrupted after this step can simply be retried.
+ */
+async function settleHold(userId, holdId, outcome) {
+  const holdRef = walletRef(userId).collection('holds').doc(holdId);
+  await db.runTransaction(async (transaction) => {
+    const [walletDoc, holdDoc] = await Promise.all([transaction.get(walletRef(userId)), transaction.get(holdRef)]);
+    if (holdDoc.exists && holdDoc.data().status === outcome) return;
+    if (!holdDoc.exists || holdDoc.data().status !== 'active') {
+      throw httpError(409, 'Hold is not active');
+    }
+
+    const { amountCents, reason, reference } = holdDoc.data();
+    const { availableCents, heldCents } = balanceOf(walletDoc);
+    transaction.update(walletRef(userId), {
+      heldCents: heldCents - amountCents,
+      availableCents: outcome === 'released' ? availableCents + amountCents : availableCents,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    transaction.update(holdRef, { status: outcome, settledAt: admin.firestore.FieldValue.serverTimestamp() });
+    appendLedger(transaction, userId, {
+      type: outcome === 'captured' ? 'debit' : 'release_hold',
+      amountCents,
+      source: reason,
+      reference: { ...reference, holdId }
+    });
+  });
+}
+
+async function getBalance(userId) {
+  const walletDoc = await walletRef(userId).get();
+  return { ...balanceOf(walletDoc), currency: CURRENCY };
+}
+
+module.exports = { CURRENCY, ledgerRef, credit, placeHold, settleHold, getBalance };